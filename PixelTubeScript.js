@@ -10,15 +10,20 @@
 /** Platform identifier */
 const PLATFORM = "PixelTube";
 
-/** Base URL for the PixelTube instance */
-const BASE_URL = "https://pixeltube.org";
-
-/** CDN URL for media files */
-const CDN_URL = "https://cdn.pixeltube.org";
+/** Default PixelTube instance, used when no instances are configured */
+const DEFAULT_INSTANCE_URL = "https://pixeltube.org";
 
 /** API endpoints (used for search and home feed only) */
 const API_VIDEOS = "/api/videos";
 const API_CHANNELS = "/api/channels";
+const API_PLAYLISTS = "/api/playlists";
+
+/** Authenticated API endpoints for the logged-in account */
+const API_USER_SUBSCRIPTIONS = "/api/users/me/subscriptions";
+const API_USER_PLAYLISTS = "/api/users/me/playlists";
+
+/** Maximum pages fetched when importing the logged-in account's lists */
+const MAX_USER_LIST_PAGES = 50;
 
 /** Default page size for video listings */
 const DEFAULT_VIDEO_LIMIT = 24;
@@ -26,9 +31,160 @@ const DEFAULT_VIDEO_LIMIT = 24;
 /** Default page size for channel listings */
 const DEFAULT_CHANNEL_LIMIT = 12;
 
-/** URL patterns for content detection */
-const VIDEO_URL_REGEX = /^https?:\/\/(www\.)?pixeltube\.org\/w\/([a-zA-Z0-9_-]+)/i;
-const CHANNEL_URL_REGEX = /^https?:\/\/(www\.)?pixeltube\.org\/c\/([a-zA-Z0-9_-]+)/i;
+/** PeerTube-style video states used by live broadcasts */
+const VIDEO_STATE_WAITING_FOR_LIVE = 4;
+const VIDEO_STATE_LIVE_ENDED = 5;
+
+/** Cache lifetimes in seconds: actor documents change rarely, counts change often */
+const ACTOR_CACHE_TTL = 6 * 3600;
+const YOUTUBE_MAPPING_CACHE_TTL = 7 * 24 * 3600;
+const YOUTUBE_MISS_CACHE_TTL = 6 * 3600;
+const WEBFINGER_CACHE_TTL = 24 * 3600;
+const COUNT_CACHE_TTL = 15 * 60;
+
+/** Maximum cache entries kept (and saved) before the oldest are evicted */
+const MAX_CACHE_ENTRIES = 200;
+
+/** Maximum subscription feed states kept (and saved) before the least recently checked are evicted */
+const MAX_FEED_STATES = 500;
+
+/** Videos kept per subscription check, returned again when the outbox has not changed */
+const PEEK_CACHED_VIDEOS = 10;
+
+/** Actor fields kept in the cache, to keep the saved state small */
+const ACTOR_CACHE_FIELDS = ["id", "type", "name", "preferredUsername", "summary", "support", "icon", "image", "url", "followers", "outbox", "playlists"];
+
+/** Extra attempts for transient HTTP failures (5xx and network errors) */
+const MAX_HTTP_RETRIES = 2;
+
+/** Wait before the first retry of a transient failure, doubled for each further attempt */
+const HTTP_RETRY_BASE_DELAY_MS = 500;
+
+/** Longest 429 Retry-After that is waited out before the request; longer ones fail with a RateLimitedException */
+const MAX_RETRY_AFTER_WAIT_SECONDS = 5;
+
+/** Values behind the settings dropdowns, in the order of their options in PixelTubeConfig.json */
+const MAX_RESOLUTION_OPTIONS = [0, 2160, 1440, 1080, 720, 480, 360];
+const PREFERRED_FORMAT_OPTIONS = [null, "video/webm", "video/mp4"];
+const PAGE_SIZE_OPTIONS = [12, 24, 48];
+const MIN_DURATION_OPTIONS = [0, 30, 60, 180, 300];
+const HOME_FEED_OPTIONS = [
+	null,
+	{ sort: "Newest" },
+	{ sort: "Most viewed", window: 7 * 24 * 3600 },
+	{ sort: "Most viewed" },
+	{ recentChannels: true }
+];
+/** PeerTube category ids, "All categories" first */
+const HOME_CATEGORY_OPTIONS = [null, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18];
+
+/** Number of uploads shown per channel on the "Recently added channels" home feed */
+const RECENT_CHANNEL_VIDEO_LIMIT = 3;
+
+/** Search sort options, mapped to /api/videos sort parameters */
+const SEARCH_SORTS = {
+	"Newest": "-publishedAt",
+	"Oldest": "publishedAt",
+	"Most viewed": "-views",
+	"Longest": "-duration"
+};
+
+/** Comparators used to verify and apply search sorts client-side */
+const SEARCH_SORT_COMPARATORS = {
+	"Newest": function(a, b) { return b.datetime - a.datetime; },
+	"Oldest": function(a, b) { return a.datetime - b.datetime; },
+	"Most viewed": function(a, b) { return b.viewCount - a.viewCount; },
+	"Longest": function(a, b) { return b.duration - a.duration; }
+};
+
+/** Channel tab sorts, mapped to the SEARCH_SORTS key that implements each */
+const CHANNEL_SORTS = {
+	"Newest": "Newest",
+	"Oldest": "Oldest",
+	"Most popular": "Most viewed"
+};
+
+/** Maximum outbox pages walked when a channel tab has to be sorted client-side */
+const MAX_CHANNEL_WALK_PAGES = 20;
+
+/** Upload date search filters, as windows in seconds before now */
+const SEARCH_DATE_FILTERS = [
+	{ id: "today", name: "Today", seconds: 86400 },
+	{ id: "week", name: "This week", seconds: 7 * 86400 },
+	{ id: "month", name: "This month", seconds: 30 * 86400 },
+	{ id: "year", name: "This year", seconds: 365 * 86400 }
+];
+
+/** Duration search filters, as [min, max) ranges in seconds (0 = unbounded) */
+const SEARCH_DURATION_FILTERS = [
+	{ id: "short", name: "Under 4 minutes", min: 0, max: 240 },
+	{ id: "medium", name: "4 - 20 minutes", min: 240, max: 1200 },
+	{ id: "long", name: "Over 20 minutes", min: 1200, max: 0 }
+];
+
+/** Search filter values for Shorts */
+const SEARCH_SHORTS_FILTERS = [
+	{ id: "hide", name: "Hide Shorts" },
+	{ id: "only", name: "Only Shorts" }
+];
+
+/** Longest duration, in seconds, of a vertical video that counts as a Short */
+const SHORTS_MAX_DURATION = 180;
+
+/** Maximum API pages fetched when a sort has to be applied client-side */
+const MAX_CLIENT_SORT_PAGES = 10;
+
+/** Maximum API pages scanned for a non-empty page when filters are applied client-side */
+const MAX_FILTER_SCAN_PAGES = 5;
+
+/** Age, in seconds, of the popular videos mixed into recommendations */
+const RECOMMENDATION_POPULAR_WINDOW = 7 * 24 * 3600;
+
+/** Most tags sent as tagsOneOf when looking for related videos */
+const MAX_RECOMMENDATION_TAGS = 5;
+
+/** Outbox activity types that can add, change or remove a channel's videos */
+const OUTBOX_ACTIVITY_TYPES = ["Create", "Update", "Announce", "Delete"];
+
+/** Maximum outbox pages scanned per page of channel search results */
+const MAX_OUTBOX_SCAN_PAGES = 5;
+
+/** Number of matches after which an outbox scan returns a page early */
+const OUTBOX_SCAN_TARGET_RESULTS = 12;
+
+/** URL patterns for content detection (the host is checked against the configured instances) */
+const VIDEO_URL_REGEX = /^https?:\/\/(?:www\.)?([^\/?#]+)\/(?:w\/(?!p\/)|videos\/watch\/(?!playlist\/))([a-zA-Z0-9_-]+)/i;
+const CHANNEL_URL_REGEX = /^https?:\/\/(?:www\.)?([^\/?#]+)\/c\/([a-zA-Z0-9_.-]+(?:@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})?)/i;
+const CHANNEL_ALIAS_URL_REGEX = /^https?:\/\/(?:www\.)?([^\/?#]+)\/video-channels\/([a-zA-Z0-9_.-]+)/i;
+const ACCOUNT_URL_REGEX = /^https?:\/\/(?:www\.)?([^\/?#]+)\/(?:a|accounts)\/([a-zA-Z0-9_.-]+)/i;
+const CHANNEL_HANDLE_REGEX = /^(?:acct:)?@?([a-zA-Z0-9_.-]+)@([a-zA-Z0-9.-]+\.[a-zA-Z]{2,})$/i;
+const PLAYLIST_URL_REGEX = /^https?:\/\/(?:www\.)?([^\/?#]+)\/(?:w\/p|videos\/watch\/playlist)\/([a-zA-Z0-9_-]+)/i;
+const TAG_SEARCH_URL_REGEX = /^https?:\/\/(?:www\.)?([^\/?#]+)\/search\?([^#]*)/i;
+
+/** Channel URLs on any host, for blocked channels that aren't on a configured instance; group 1 is the host, group 2 the name */
+const BLOCKED_CHANNEL_URL_REGEX = /^https?:\/\/(?:www\.)?([^\/?#]+)\/(?:c|video-channels|actors)\/([a-zA-Z0-9_.-]+)\/?(?:[?#].*)?$/i;
+
+/** Original YouTube video URLs (watch, youtu.be, shorts, live and embed links); group 1 is the video ID */
+const YOUTUBE_VIDEO_URL_REGEX = /^https?:\/\/(?:(?:www|m|music)\.)?(?:youtube\.com\/(?:watch\?(?:[^#]*&)?v=|shorts\/|live\/|embed\/)|youtu\.be\/)([a-zA-Z0-9_-]{11})/i;
+
+/** Leading description line that names the original video, e.g. "Source: https://youtu.be/…"; group 1 is the URL */
+const SOURCE_MARKER_LINE_REGEX = /^(?:Source|Original)\s*:\s*(https?:\/\/\S+)/i;
+
+/** Original YouTube channel URLs; group 1 is an @handle, group 2 a UC… channel ID */
+const YOUTUBE_CHANNEL_URL_REGEX = /^https?:\/\/(?:(?:www|m)\.)?youtube\.com\/(?:@([a-zA-Z0-9_.-]+)|channel\/(UC[a-zA-Z0-9_-]{22}))/i;
+
+/** Search results checked per instance when looking for the mirror of a YouTube video or channel */
+const MAX_YOUTUBE_CANDIDATES = 5;
+
+/** Errors shown for YouTube links that have no PixelTube mirror */
+const YOUTUBE_VIDEO_MISSING_MESSAGE = "This YouTube video has not been archived on PixelTube";
+const YOUTUBE_CHANNEL_MISSING_MESSAGE = "This YouTube channel has not been archived on PixelTube";
+
+/** Actor URL paths the channel name can be read from, e.g. https://pixeltube.org/actors/<name> */
+const ACTOR_PATH_REGEX = /\/(?:actors|accounts|video-channels|a|c)\/([^\/?#]+)\/?$/;
+
+/** Actor URL paths of accounts (people), which own channels but are not channels themselves */
+const ACCOUNT_PATH_REGEX = /\/(?:accounts|a)\/[^\/?#]+\/?$/;
 
 /** Plugin logo URL (fallback) */
 const PLUGIN_LOGO_URL = "https://stefancruz.github.io/grayjay-plugin-pixeltube/PixelTubeIcon.png";
@@ -83,6 +239,21 @@ const PLATFORM_LINK_PATTERNS = {
 /** Plugin configuration */
 let config = {};
 
+/** Enabled instances, parsed from settings in source.enable */
+let instances = [createInstance(DEFAULT_INSTANCE_URL)];
+
+/** User preferences, parsed from settings in source.enable */
+let pluginSettings = parseSettings({});
+
+/** Channel options for the search channel filter, loaded on first use */
+let searchChannelFilterOptions = null;
+
+/** Cached actor documents and collection counts, keyed by "actor:<url>" / "count:<url>" */
+let cacheEntries = {};
+
+/** Subscription polling state per outbox URL: { etag, lastModified, videos, checked } */
+let feedStates = {};
+
 // =============================================================================
 // SOURCE FUNCTIONS
 // =============================================================================
@@ -93,21 +264,52 @@ let config = {};
  *
  * @param {Object} conf - Plugin configuration object
  * @param {Object} settings - User settings object
- * @param {string|null} saveStateStr - Serialized saved state (unused)
+ * @param {string|null} saveStateStr - Serialized saved state from source.saveState
  */
 source.enable = function(conf, settings, saveStateStr) {
 	config = conf || {};
+	instances = parseInstanceList(settings ? settings.instances : null);
+	pluginSettings = parseSettings(settings || {});
+
+	cacheEntries = {};
+	feedStates = {};
+	if (saveStateStr) {
+		try {
+			let savedState = JSON.parse(saveStateStr);
+			cacheEntries = savedState.cache || {};
+			feedStates = savedState.feeds || {};
+			pruneCache();
+		} catch (e) {
+			log("Error restoring saved state: " + e);
+		}
+	}
 	log("PixelTube plugin enabled");
 };
 
 /**
- * Returns the home feed with paginated video results.
+ * Serializes the plugin state so it survives restarts.
+ * Only unexpired cache entries are kept, plus the subscription polling state.
+ *
+ * @returns {string} Serialized state, passed back to source.enable
+ */
+source.saveState = function() {
+	pruneCache();
+	return JSON.stringify({ cache: cacheEntries, feeds: feedStates });
+};
+
+/**
+ * Returns the home feed with paginated video results, in the order and
+ * category chosen in the settings.
  * Uses the custom API as ActivityPub doesn't provide a global feed.
  *
  * @returns {VideoPager} Pager containing home feed videos
  */
 source.getHome = function() {
-	return getVideoPagerFromAPI(1);
+	let options = getHomeFeedOptions();
+	if (options && options.recentChannels) {
+		return getRecentChannelsVideoPagerFromAPI(1, options);
+	}
+	return getVideoPagerFromAPI(1, options);
 };
 
 /**
@@ -116,21 +318,60 @@ source.getHome = function() {
  * @returns {Object} Search capabilities object
  */
 source.getSearchCapabilities = function() {
+	let filters = [
+		{
+			id: "date",
+			name: "Upload date",
+			isMultiSelect: false,
+			filters: SEARCH_DATE_FILTERS.map(function(f) {
+				return { id: f.id, name: f.name, value: f.id };
+			})
+		},
+		{
+			id: "duration",
+			name: "Duration",
+			isMultiSelect: false,
+			filters: SEARCH_DURATION_FILTERS.map(function(f) {
+				return { id: f.id, name: f.name, value: f.id };
+			})
+		},
+		{
+			id: "shorts",
+			name: "Shorts",
+			isMultiSelect: false,
+			filters: SEARCH_SHORTS_FILTERS.map(function(f) {
+				return { id: f.id, name: f.name, value: f.id };
+			})
+		}
+	];
+
+	let channelOptions = getSearchChannelFilterOptions();
+	if (channelOptions.length > 0) {
+		filters.push({
+			id: "channel",
+			name: "Channel",
+			isMultiSelect: false,
+			filters: channelOptions
+		});
+	}
+
 	return {
 		types: [Type.Feed.Mixed],
-		sorts: [],
-		filters: []
+		sorts: Object.keys(SEARCH_SORTS),
+		filters: filters
 	};
 };
 
 /**
  * Searches for videos matching the given query.
- * Uses the custom API as ActivityPub doesn't provide search.
+ * Uses the custom API as ActivityPub doesn't provide search. A pasted video
+ * URL returns just that video, and a hashtag link from a video description
+ * (/search?tagsOneOf=…) searches for videos with those tags.
  *
  * @param {string} query - Search query
  * @param {string|null} type - Content type filter (unused)
- * @param {string|null} order - Sort order (unused)
- * @param {Object|null} filters - Additional filters (unused)
+ * @param {string|null} order - Sort order, one of the SEARCH_SORTS keys
+ * @param {Object|null} filters - Selected filter values keyed by filter id
  * @returns {VideoPager} Pager containing search results
  */
 source.search = function(query, type, order, filters) {
@@ -141,28 +382,48 @@ source.search = function(query, type, order, filters) {
 			log("Error fetching video from URL, falling back to search: " + e);
 		}
 	}
-	return getSearchVideoPagerFromAPI(query, 1);
+
+	let options = parseSearchOptions(order, filters);
+	let tags = extractSearchTags(query);
+	if (tags) {
+		options.tags = tags;
+		return getSearchVideoPagerFromAPI("", 1, options);
+	}
+	return getSearchVideoPagerFromAPI(query, 1, options);
 };
 
 /**
  * Searches for channels matching the given query.
  * Uses the custom API as ActivityPub doesn't provide search.
+ * A pasted channel URL or @channel@host handle returns just that channel.
  *
  * @param {string} query - Search query
  * @returns {ChannelPager} Pager containing channel results
  */
 source.searchChannels = function(query) {
+	if (source.isChannelUrl(query)) {
+		try {
+			let channel = source.getChannel(query);
+			return new ChannelPager([new PlatformAuthorLink(channel.id, channel.name, channel.url, channel.thumbnail, channel.subscribers)], false);
+		} catch (e) {
+			log("Error fetching channel from URL, falling back to search: " + e);
+		}
+	}
 	return getChannelPagerFromAPI(query, 1);
 };
 
 /**
- * Checks if the given URL is a video content URL.
+ * Checks if the given URL is a video content URL, without touching the network.
+ * Original YouTube video URLs are claimed unless an earlier lookup found
+ * no PixelTube mirror, so other plugins can still open those.
  *
  * @param {string} url - URL to check
  * @returns {boolean} True if this is a video URL
  */
 source.isContentDetailsUrl = function(url) {
-	return VIDEO_URL_REGEX.test(url);
+	if (extractVideoId(url) !== null) return true;
+	let match = (url || "").match(YOUTUBE_VIDEO_URL_REGEX);
+	return !!match && cacheGet("youtube:" + match[1]) !== false;
 };
 
 /**
@@ -174,143 +435,140 @@ source.isContentDetailsUrl = function(url) {
  * @throws {ScriptException} If video cannot be fetched or parsed
  */
 source.getContentDetails = function(url) {
+	url = toPixelTubeVideoUrl(url);
 	let videoId = extractVideoId(url);
 	if (!videoId) {
 		throw new ScriptException("Invalid video URL: " + url);
 	}
 
-	let videoPageUrl = BASE_URL + "/w/" + videoId;
+	let instance = requireInstanceForUrl(url);
+	let videoPageUrl = instance.baseUrl + "/w/" + videoId;
 
 	// Fetch video data via ActivityPub
-	let videoResponse = http.GET(videoPageUrl, ACTIVITYPUB_HEADERS, false);
-
-	if (!videoResponse.isOk) {
-		throw new ScriptException("Failed to fetch video: " + videoResponse.code);
-	}
-
-	let apVideo = JSON.parse(videoResponse.body);
+	let apVideo = fetchJSON(videoPageUrl, ACTIVITYPUB_HEADERS, "video");
 
 	// Extract channel info from attributedTo
 	let channelInfo = extractChannelFromAttributedTo(apVideo.attributedTo);
 	let channelUsername = channelInfo.username;
 	let channelActorUrl = channelInfo.actorUrl;
 
-	// Fetch channel info and likes/dislikes counts in parallel
-	let batchRequest = http.batch();
-	let hasChannelRequest = false;
-	let hasLikesRequest = false;
-	let hasDislikesRequest = false;
-	let hasAnyRequest = false;
+	// Use cached channel info and counts where still fresh
+	let cachedChannel = channelActorUrl ? cacheGet("actor:" + channelActorUrl) : null;
+	let cachedLikes = apVideo.likes ? cacheGet("count:" + apVideo.likes) : null;
+	let cachedDislikes = apVideo.dislikes ? cacheGet("count:" + apVideo.dislikes) : null;
+
+	// Fetch the rest of channel info and likes/dislikes counts in parallel.
+	// These are best-effort: failures fall back to defaults below.
+	let batchRequests = [];
+	let channelIdx = -1;
+	let likesIdx = -1;
+	let dislikesIdx = -1;
 
-	if (channelActorUrl) {
-		batchRequest.GET(channelActorUrl, ACTIVITYPUB_HEADERS, false);
-		hasChannelRequest = true;
-		hasAnyRequest = true;
+	if (channelActorUrl && !cachedChannel) {
+		channelIdx = batchRequests.push({ url: channelActorUrl, headers: ACTIVITYPUB_HEADERS }) - 1;
 	}
-	if (apVideo.likes) {
-		batchRequest.GET(apVideo.likes, ACTIVITYPUB_HEADERS, false);
-		hasLikesRequest = true;
-		hasAnyRequest = true;
+	if (apVideo.likes && cachedLikes === null) {
+		likesIdx = batchRequests.push({ url: apVideo.likes, headers: ACTIVITYPUB_HEADERS }) - 1;
 	}
-	if (apVideo.dislikes) {
-		batchRequest.GET(apVideo.dislikes, ACTIVITYPUB_HEADERS, false);
-		hasDislikesRequest = true;
-		hasAnyRequest = true;
+	if (apVideo.dislikes && cachedDislikes === null) {
+		dislikesIdx = batchRequests.push({ url: apVideo.dislikes, headers: ACTIVITYPUB_HEADERS }) - 1;
 	}
 
-	let batchResponses = hasAnyRequest ? batchRequest.execute() : [];
-	let channelIdx = hasChannelRequest ? 0 : -1;
-	let likesIdx = hasLikesRequest ? (hasChannelRequest ? 1 : 0) : -1;
-	let dislikesIdx = hasDislikesRequest ? (hasChannelRequest ? 1 : 0) + (hasLikesRequest ? 1 : 0) : -1;
+	let batchResponses = batchRequests.length > 0 ? requestBatchGET(batchRequests) : [];
 
 	// Parse channel info
 	let channelName = channelUsername || "Unknown Channel";
 	let channelAvatar = PLUGIN_LOGO_URL;
+	let channelData = cachedChannel;
 	if (channelIdx >= 0 && batchResponses[channelIdx] && batchResponses[channelIdx].isOk) {
 		try {
-			let channelData = JSON.parse(batchResponses[channelIdx].body);
-			channelName = channelData.name || channelData.preferredUsername || channelName;
-			let channelIcons = asArray(channelData.icon);
-			if (channelIcons.length > 0) {
-				let iconCandidate = channelIcons[0].url || channelIcons[0];
-				if (typeof iconCandidate === "string") {
-					channelAvatar = iconCandidate;
-				}
-			}
+			channelData = JSON.parse(batchResponses[channelIdx].body);
+			cacheSet("actor:" + channelActorUrl, trimActor(channelData), ACTOR_CACHE_TTL);
 		} catch (e) {
 			log("Error parsing channel data: " + e);
 		}
 	}
+	if (channelData) {
+		channelName = channelData.name || channelData.preferredUsername || channelName;
+		channelAvatar = pickImageUrl(channelData.icon, channelAvatar);
+	}
 
 	// Parse likes count
-	let likesCount = 0;
+	let likesCount = cachedLikes || 0;
 	if (likesIdx >= 0 && batchResponses[likesIdx] && batchResponses[likesIdx].isOk) {
 		try {
 			let likesData = JSON.parse(batchResponses[likesIdx].body);
 			likesCount = likesData.totalItems || 0;
+			cacheSet("count:" + apVideo.likes, likesCount, COUNT_CACHE_TTL);
 		} catch (e) {
 			log("Error parsing likes: " + e);
 		}
 	}
 
 	// Parse dislikes count
-	let dislikesCount = 0;
+	let dislikesCount = cachedDislikes || 0;
 	if (dislikesIdx >= 0 && batchResponses[dislikesIdx] && batchResponses[dislikesIdx].isOk) {
 		try {
 			let dislikesData = JSON.parse(batchResponses[dislikesIdx].body);
 			dislikesCount = dislikesData.totalItems || 0;
+			cacheSet("count:" + apVideo.dislikes, dislikesCount, COUNT_CACHE_TTL);
 		} catch (e) {
 			log("Error parsing dislikes: " + e);
 		}
 	}
 
 	// Build video sources from ActivityPub url array
+	let liveState = getLiveState(apVideo);
 	let videoSources = extractVideoSources(apVideo);
+	let videoOnlySources = liveState ? [] : extractVideoOnlySources(apVideo);
+	let audioSources = liveState ? [] : extractAudioSources(apVideo);
+	let liveSource = null;
 
-	if (videoSources.length === 0) {
-		throw new UnavailableException("No video sources found");
-	}
-
-	// Extract thumbnail
-	let thumbnailUrl = CDN_URL + "/thumbnails/" + videoId + ".jpg";
-	let icons = asArray(apVideo.icon);
-	if (icons.length > 0) {
-		let iconCandidate = icons[0].url || icons[0];
-		if (typeof iconCandidate === "string") {
-			thumbnailUrl = iconCandidate;
+	if (liveState === "live") {
+		liveSource = extractLiveSource(apVideo);
+		if (!liveSource) {
+			throw new UnavailableException("Live stream is not available yet");
 		}
+		videoSources = [];
+	} else if (liveState !== "upcoming" && videoSources.length === 0 && audioSources.length === 0) {
+		throw new UnavailableException("No video sources found");
 	}
 
 	// Build the result
 	let channelIdValue = channelUsername || "unknown";
-	let channelUrl = channelUsername ? (BASE_URL + "/c/" + channelUsername) : BASE_URL;
+	let channelUrl = channelUsername ? (instance.baseUrl + "/c/" + channelUsername) : instance.baseUrl;
 
 	let result = new PlatformVideoDetails({
-		id: new PlatformID(PLATFORM, videoId, config.id),
+		id: new PlatformID(PLATFORM, instanceScopedId(instance, videoId), config.id),
 		name: apVideo.name || "Untitled",
-		thumbnails: new Thumbnails([new Thumbnail(thumbnailUrl, 0)]),
+		thumbnails: buildThumbnails(apVideo.icon, instance.cdnUrl + "/thumbnails/" + videoId + ".jpg"),
 		author: new PlatformAuthorLink(
-			new PlatformID(PLATFORM, channelIdValue, config.id),
+			new PlatformID(PLATFORM, instanceScopedId(instance, channelIdValue), config.id),
 			channelName,
 			channelUrl,
 			channelAvatar
 		),
-		datetime: parseISODate(apVideo.published),
+		datetime: liveState === "upcoming" ? getScheduledStartTime(apVideo) : parseISODate(apVideo.published),
 		duration: parseISODuration(apVideo.duration),
 		viewCount: apVideo.views || 0,
 		url: videoPageUrl,
-		isLive: false,
-		description: apVideo.content || "",
-		video: new VideoSourceDescriptor(videoSources),
+		isLive: liveState === "live",
+		isShort: isShortVideo(apVideo),
+		description: (apVideo.content || "") + buildMetadataDescription(instance, apVideo),
+		video: buildSourceDescriptor(videoSources, videoOnlySources, audioSources),
+		live: liveSource,
+		subtitles: extractSubtitles(apVideo),
 		rating: new RatingLikesDislikes(likesCount, dislikesCount)
 	});
 
 	// Add content recommendations
 	result.getContentRecommendations = function() {
-		return source.getContentRecommendations(url, { 
+		return source.getContentRecommendations(url, {
 			channelUsername: channelUsername,
 			channelAvatar: channelAvatar,
-			channelName: channelName
+			channelName: channelName,
+			tags: extractHashtags(apVideo),
+			category: extractCategoryId(apVideo)
 		});
 	};
 
@@ -318,54 +576,116 @@ source.getContentDetails = function(url) {
 };
 
 /**
- * Gets content recommendations for a video using ActivityPub.
- * Returns other videos from the same channel via the outbox.
+ * Gets content recommendations for a video.
+ * Interleaves other uploads from the same channel, videos sharing a tag or
+ * the category, and popular videos from the past week. Each source is
+ * best-effort, so a failing one only leaves its videos out.
  *
  * @param {string} url - Video URL
- * @param {Object} videoData - Parsed video data with channelUsername
+ * @param {Object} videoData - Parsed video data with channelUsername, tags and category id
  * @returns {VideoPager} Pager containing recommended videos
  */
 source.getContentRecommendations = function(url, videoData) {
-	let channelUsername = videoData ? videoData.channelUsername : null;
-	let channelAvatar = videoData ? videoData.channelAvatar : null;
-	let channelName = videoData ? videoData.channelName : null;
+	videoData = videoData || {};
+	let channelUsername = videoData.channelUsername || null;
+	let channelAvatar = videoData.channelAvatar || null;
+	let channelName = videoData.channelName || null;
+	let tags = videoData.tags || [];
+	let category = videoData.category || null;
 
-	if (!channelUsername) {
-		let videoId = extractVideoId(url);
-		if (videoId) {
-			try {
-				let videoResponse = http.GET(BASE_URL + "/w/" + videoId, ACTIVITYPUB_HEADERS, false);
-				if (videoResponse.isOk) {
-					let apVideo = JSON.parse(videoResponse.body);
-					channelUsername = extractChannelFromAttributedTo(apVideo.attributedTo).username;
-				}
-			} catch (e) {
-				log("Error fetching video for recommendations: " + e);
-			}
+	let instance = getInstanceForUrl(url);
+	if (!instance) return new VideoPager([], false);
+	let videoId = extractVideoId(url);
+	if (!channelUsername && videoId) {
+		try {
+			let apVideo = fetchJSON(instance.baseUrl + "/w/" + videoId, ACTIVITYPUB_HEADERS, "video");
+			channelUsername = extractChannelFromAttributedTo(apVideo.attributedTo).username;
+			tags = extractHashtags(apVideo);
+			category = extractCategoryId(apVideo);
+		} catch (e) {
+			log("Error fetching video for recommendations: " + e);
 		}
 	}
 
+	let pagers = [];
+	let addSource = function(description, load) {
+		try {
+			pagers.push(load());
+		} catch (e) {
+			log("Error fetching " + description + " recommendations: " + e);
+		}
+	};
 	if (channelUsername) {
-		let pager = getChannelVideosPagerFromAP(channelUsername, null, channelAvatar, channelName);
-		// Filter out current video
-		let currentVideoId = extractVideoId(url);
-		pager.results = pager.results.filter(function(v) {
-			return v.id.value !== currentVideoId;
+		addSource("channel", function() {
+			return getChannelVideosPagerFromAP(instance, channelUsername, null, channelAvatar, channelName);
 		});
-		return pager;
 	}
+	if (tags.length > 0) {
+		addSource("tag", function() {
+			return getVideoPagerFromAPI(1, { tags: tags.slice(0, MAX_RECOMMENDATION_TAGS) });
+		});
+	}
+	if (category) {
+		addSource("category", function() {
+			return getVideoPagerFromAPI(1, { category: category });
+		});
+	}
+	// A sort the instance ignores only reorders this one page; only search re-sorts across pages
+	addSource("popular", function() {
+		return getVideoPagerFromAPI(1, {
+			sort: "Most viewed",
+			startDate: Math.floor(Date.now() / 1000) - RECOMMENDATION_POPULAR_WINDOW
+		});
+	});
+
+	// The playing video counts as seen, so no page can recommend it
+	let seen = {};
+	if (videoId) {
+		seen[platformIdKey(new PlatformID(PLATFORM, instanceScopedId(instance, videoId), config.id))] = true;
+	}
+	return getRecommendationPager(pagers, seen);
+};
+
+/**
+ * Gets chapters for a video.
+ * Uses the structured chapter collection (hasParts) when the instance exposes one,
+ * otherwise parses "00:00 Intro"-style timestamps from the description.
+ *
+ * @param {string} url - Video URL
+ * @returns {Object[]} Array of chapters with name, timeStart, timeEnd and type
+ */
+source.getContentChapters = function(url) {
+	url = toPixelTubeVideoUrl(url);
+	let videoId = extractVideoId(url);
+	if (!videoId) return [];
 
-	return new VideoPager([], false);
+	try {
+		let apVideo = fetchJSON(requireInstanceForUrl(url).baseUrl + "/w/" + videoId, ACTIVITYPUB_HEADERS, "video");
+		let duration = parseISODuration(apVideo.duration);
+
+		let chapters = extractStructuredChapters(apVideo.hasParts);
+		if (chapters.length === 0) {
+			chapters = parseDescriptionChapters(htmlToText(apVideo.content || ""));
+		}
+		return finalizeChapters(chapters, duration);
+	} catch (e) {
+		log("Error fetching chapters: " + e);
+		return [];
+	}
 };
 
 /**
- * Checks if the given URL is a channel URL.
+ * Checks if the given URL is a channel URL, without touching the network.
+ * Original YouTube channel URLs are claimed unless an earlier lookup found
+ * no PixelTube mirror.
  *
  * @param {string} url - URL to check
  * @returns {boolean} True if this is a channel URL
  */
 source.isChannelUrl = function(url) {
-	return CHANNEL_URL_REGEX.test(url);
+	if (parseChannelReference(url) !== null) return true;
+	let match = (url || "").match(YOUTUBE_CHANNEL_URL_REGEX);
+	return !!match && cacheGet("youtube:" + getYouTubeChannelKey(match[1], match[2])) !== false;
 };
 
 /**
@@ -376,54 +696,46 @@ source.isChannelUrl = function(url) {
  * @throws {ScriptException} If channel cannot be fetched
  */
 source.getChannel = function(url) {
-	let username = extractChannelUsername(url);
-	if (!username) {
+	let channel = resolveChannel(url);
+	if (!channel) {
 		throw new ScriptException("Invalid channel URL: " + url);
 	}
 
 	// Fetch channel data via ActivityPub
 	// We speculatively fetch followers to parallelize requests
-	let actorUrl = BASE_URL + "/actors/" + username;
+	let instance = channel.instance;
+	let username = channel.username;
+	let actorUrl = getChannelActorUrl(instance, username);
 	let speculativeFollowersUrl = actorUrl + "/followers";
-	
-	let batch = http.batch();
-	batch.GET(actorUrl, ACTIVITYPUB_HEADERS, false);
-	batch.GET(speculativeFollowersUrl, ACTIVITYPUB_HEADERS, false);
-	let responses = batch.execute();
-
-	let actorResponse = responses[0];
-	let speculativeFollowersResponse = responses[1];
+	let speculativeFollowersResponse = null;
 
-	if (!actorResponse || !actorResponse.isOk) {
-		let code = actorResponse ? actorResponse.code : "unknown";
-		throw new ScriptException("Failed to fetch channel: " + code);
-	}
+	// Skip the network entirely when the actor is still cached
+	let apActor = cacheGet("actor:" + actorUrl);
+	if (!apActor) {
+		let fetchFollowers = cacheGet("count:" + speculativeFollowersUrl) === null;
+		let requests = [{ url: actorUrl, headers: ACTIVITYPUB_HEADERS }];
+		if (fetchFollowers) {
+			requests.push({ url: speculativeFollowersUrl, headers: ACTIVITYPUB_HEADERS });
+		}
+		let responses = requestBatchGET(requests);
 
-	let apActor = JSON.parse(actorResponse.body);
+		let actorResponse = ensureOk(responses[0], "channel");
+		speculativeFollowersResponse = fetchFollowers ? responses[1] : null;
 
-	// Extract avatar
-	let avatar = PLUGIN_LOGO_URL;
-	let icons = asArray(apActor.icon);
-	if (icons.length > 0) {
-		let iconCandidate = icons[0].url || icons[0];
-		if (typeof iconCandidate === "string") {
-			avatar = iconCandidate;
-		}
+		apActor = JSON.parse(actorResponse.body);
+		cacheSet("actor:" + actorUrl, trimActor(apActor), ACTOR_CACHE_TTL);
 	}
 
-	// Extract banner
-	let banner = "";
-	let images = asArray(apActor.image);
-	if (images.length > 0) {
-		let imageCandidate = images[0].url || images[0];
-		if (typeof imageCandidate === "string") {
-			banner = imageCandidate;
-		}
-	}
+	// Use the largest avatar and banner variants for the channel page
+	let avatar = pickImageUrl(apActor.icon, PLUGIN_LOGO_URL);
+	let banner = pickImageUrl(apActor.image, "");
 
 	// Extract follower count from followers endpoint
 	let followers = 0;
-	if (apActor.followers) {
+	let cachedFollowers = apActor.followers ? cacheGet("count:" + apActor.followers) : null;
+	if (cachedFollowers !== null) {
+		followers = cachedFollowers;
+	} else if (apActor.followers) {
 		let followersResponse = null;
 		
 		// Use speculative response if URL matches and it was successful
@@ -435,7 +747,7 @@ source.getChannel = function(url) {
 		} else {
 			// Otherwise fetch the correct URL
 			try {
-				followersResponse = http.GET(apActor.followers, ACTIVITYPUB_HEADERS, false);
+				followersResponse = requestGET(apActor.followers, ACTIVITYPUB_HEADERS, false);
 			} catch (e) {
 				log("Error fetching followers count: " + e);
 			}
@@ -445,6 +757,7 @@ source.getChannel = function(url) {
 			try {
 				let followersData = JSON.parse(followersResponse.body);
 				followers = followersData.totalItems || 0;
+				cacheSet("count:" + apActor.followers, followers, COUNT_CACHE_TTL);
 			} catch (e) {
 				log("Error parsing followers data: " + e);
 			}
@@ -465,13 +778,13 @@ source.getChannel = function(url) {
 	}
 
 	return new PlatformChannel({
-		id: new PlatformID(PLATFORM, username, config.id),
+		id: new PlatformID(PLATFORM, instanceScopedId(instance, username), config.id),
 		name: apActor.name || apActor.preferredUsername || username,
 		thumbnail: avatar,
 		banner: banner,
 		subscribers: followers,
 		description: apActor.summary || "",
-		url: BASE_URL + "/c/" + username,
+		url: instance.baseUrl + "/c/" + username,
 		links: links
 	});
 };
@@ -483,358 +796,3203 @@ source.getChannel = function(url) {
  */
 source.getChannelCapabilities = function() {
 	return {
-		types: [Type.Feed.Videos],
-		sorts: [],
-		filters: []
+		types: [Type.Feed.Videos, Type.Feed.Shorts, Type.Feed.Streams],
+		sorts: Object.keys(CHANNEL_SORTS),
+		filters: [
+			{
+				id: "date",
+				name: "Upload date",
+				isMultiSelect: false,
+				filters: SEARCH_DATE_FILTERS.map(function(f) {
+					return { id: f.id, name: f.name, value: f.id };
+				})
+			},
+			{
+				id: "duration",
+				name: "Duration",
+				isMultiSelect: false,
+				filters: SEARCH_DURATION_FILTERS.map(function(f) {
+					return { id: f.id, name: f.name, value: f.id };
+				})
+			}
+		]
 	};
 };
 
 /**
  * Gets paginated video content from a channel using ActivityPub outbox.
+ * The Videos, Shorts and Streams tabs each only list their own kind of video.
+ * Other sorts than newest first and the date/duration filters go through the
+ * custom API when it supports them, otherwise the outbox is walked and sorted client-side.
  *
  * @param {string} url - Channel URL
+ * @param {string|null} type - Feed type, one of the getChannelCapabilities types
+ * @param {string|null} order - Sort order, one of the CHANNEL_SORTS keys
+ * @param {Object|null} filters - Selected filter values keyed by filter id
  * @returns {VideoPager} Pager containing channel videos
  */
-source.getChannelContents = function(url) {
-	let username = extractChannelUsername(url);
-	if (!username) {
+source.getChannelContents = function(url, type, order, filters) {
+	let channel = resolveChannel(url);
+	if (!channel) {
 		return new VideoPager([], false);
 	}
 
-	let actorUrl = BASE_URL + "/actors/" + username;
-	let outboxUrl = BASE_URL + "/actors/" + username + "/outbox?page=true";
+	let instance = channel.instance;
+	let username = channel.username;
+
+	// The outbox is already newest first, anything else needs the API or a full walk
+	let options = parseSearchOptions(order && order !== "Newest" ? CHANNEL_SORTS[order] : null, filters);
+	if (options.sort || options.startDate || options.minDuration || options.maxDuration) {
+		let apiPager = getChannelSearchPagerFromAPI(instance, username, "", 1, options, type);
+		if (apiPager) {
+			return apiPager;
+		}
 
-	let batch = http.batch();
-	batch.GET(actorUrl, ACTIVITYPUB_HEADERS, false);
-	batch.GET(outboxUrl, ACTIVITYPUB_HEADERS, false);
-	let responses = batch.execute();
+		log("Channel sort not supported by API, walking outbox instead");
+		let walkActor = fetchAPActor(getChannelActorUrl(instance, username));
+		return getSortedChannelPagerFromAP(instance, username,
+			walkActor ? pickImageUrl(walkActor.icon, null) : null,
+			walkActor ? (walkActor.name || walkActor.preferredUsername || username) : null,
+			type, options);
+	}
 
-	let actorResponse = responses[0];
-	let outboxResponse = responses[1];
+	let actorUrl = getChannelActorUrl(instance, username);
+	let outboxUrl = getChannelOutboxUrl(instance, username);
+
+	// Only the outbox needs fetching when the actor is still cached
+	let actor = cacheGet("actor:" + actorUrl);
+	let requests = [{ url: outboxUrl, headers: ACTIVITYPUB_HEADERS }];
+	if (!actor) {
+		requests.push({ url: actorUrl, headers: ACTIVITYPUB_HEADERS });
+	}
+	let responses = requestBatchGET(requests);
+
+	let outboxResponse = ensureOk(responses[0], "channel");
+	let actorResponse = actor ? null : responses[1];
 
-	let avatar = null;
-	let actorName = null;
 	if (actorResponse && actorResponse.isOk) {
 		try {
-			let actor = JSON.parse(actorResponse.body);
-			actorName = actor.name || actor.preferredUsername || username;
-			let icons = asArray(actor.icon);
-			if (icons.length > 0) {
-				let iconCandidate = icons[0].url || icons[0];
-				if (typeof iconCandidate === "string") {
-					avatar = iconCandidate;
-				}
-			}
+			actor = JSON.parse(actorResponse.body);
+			cacheSet("actor:" + actorUrl, trimActor(actor), ACTOR_CACHE_TTL);
 		} catch (e) {
-			log("Error parsing channel avatar: " + e);
+			log("Error parsing channel: " + e);
 		}
 	}
 
-	if (outboxResponse && outboxResponse.isOk) {
-		let parsed = parseOutboxResponse(outboxResponse.body, username, avatar, actorName);
-		return new APChannelVideoPager(parsed.videos, parsed.hasMore, {
+	let avatar = null;
+	let actorName = null;
+	if (actor) {
+		actorName = actor.name || actor.preferredUsername || username;
+		avatar = pickImageUrl(actor.icon, null);
+	}
+
+	let parsed = parseOutboxResponse(readOutboxPage(outboxResponse.body), instance, username, avatar, actorName, getChannelTypeFilter(type));
+
+	// A page without any videos of this type is common for Shorts; scan ahead instead
+	if (parsed.videos.length === 0 && parsed.hasMore) {
+		return getChannelSearchPagerFromAP({
+			instance: instance,
 			username: username,
+			query: "",
+			type: type,
 			nextPageUrl: parsed.nextPageUrl,
 			avatar: avatar,
-			name: actorName
+			name: actorName,
+			seenIds: parsed.seenIds
 		});
 	}
 
-	return new APChannelVideoPager([], false, { username: username, nextPageUrl: null, avatar: avatar, name: actorName });
+	return new APChannelVideoPager(parsed.videos, parsed.hasMore, {
+		instance: instance,
+		username: username,
+		type: type,
+		nextPageUrl: parsed.nextPageUrl,
+		avatar: avatar,
+		name: actorName,
+		seenIds: parsed.seenIds
+	});
 };
 
-
-// =============================================================================
-// PAGER CLASSES
-// =============================================================================
-
 /**
- * Video pager for home feed and search results (API-based).
+ * Returns the content types that can be checked cheaply for subscriptions.
+ *
+ * @returns {string[]} Feed types supported by source.peekChannelContents
  */
-class APIVideoPager extends VideoPager {
-	constructor(results, hasMore, context) {
-		super(results, hasMore, context);
-	}
-
-	nextPage() {
-		let nextPageNum = (this.context.page || 1) + 1;
-		if (this.context.search) {
-			return getSearchVideoPagerFromAPI(this.context.search, nextPageNum);
-		}
-		return getVideoPagerFromAPI(nextPageNum);
-	}
-}
+source.getPeekChannelTypes = function() {
+	return [Type.Feed.Videos];
+};
 
 /**
- * Video pager for channel content (ActivityPub-based).
+ * Lightweight subscription check for a channel.
+ * Returns the channel's latest videos from the first outbox page. The page is
+ * requested conditionally when the server previously sent an ETag or
+ * Last-Modified header; when it has not changed, the videos kept from the
+ * previous check are returned instead. Otherwise the page is only read down
+ * to the newest video of the previous check, and the videos above it are
+ * put in front of the kept ones.
+ *
+ * @param {string} url - Channel URL
+ * @param {string} type - Feed type, one of source.getPeekChannelTypes
+ * @returns {PlatformVideo[]} The channel's latest videos
  */
-class APChannelVideoPager extends VideoPager {
-	constructor(results, hasMore, context) {
-		super(results, hasMore, context);
+source.peekChannelContents = function(url, type) {
+	let channel = resolveChannel(url);
+	if (!channel) return [];
+
+	let instance = channel.instance;
+	let username = channel.username;
+	let outboxUrl = getChannelOutboxUrl(instance, username);
+	let state = feedStates[outboxUrl] || {};
+
+	// Without kept videos a 304 would leave nothing to return
+	let headers = Object.assign({}, ACTIVITYPUB_HEADERS);
+	if (state.videos) {
+		if (state.etag) headers["If-None-Match"] = state.etag;
+		if (state.lastModified) headers["If-Modified-Since"] = state.lastModified;
 	}
 
-	nextPage() {
-		return getChannelVideosPagerFromAP(this.context.username, this.context.nextPageUrl, this.context.avatar, this.context.name);
+	let response = requestGET(outboxUrl, headers, false);
+	if (response.code === 304 && state.videos) {
+		updateFeedState(outboxUrl, state);
+		return state.videos.map(restoreVideo);
 	}
-}
+	ensureOk(response, "channel");
 
-/**
- * Channel pager for search results (API-based).
- */
-class APIChannelPager extends ChannelPager {
-	constructor(results, hasMore, context) {
-		super(results, hasMore, context);
+	// Author details come from the cache only; a miss is not worth another request
+	let actor = cacheGet("actor:" + getChannelActorUrl(instance, username));
+	let avatar = null;
+	let actorName = null;
+	if (actor) {
+		actorName = actor.name || actor.preferredUsername || username;
+		avatar = pickImageUrl(actor.icon, null);
 	}
 
-	nextPage() {
-		let nextPageNum = (this.context.page || 1) + 1;
-		return getChannelPagerFromAPI(this.context.search, nextPageNum);
+	let knownId = state.videos ? state.newestId : null;
+	let parsed = parseOutboxResponse(readOutboxPage(response.body), instance, username, avatar, actorName, null, null, knownId);
+
+	// Kept videos that were deleted or posted again since are dropped
+	let removed = {};
+	for (let i = 0; i < parsed.seenIds.length; i++) {
+		removed[extractVideoId(parsed.seenIds[i]) || parsed.seenIds[i]] = true;
 	}
-}
+	let kept = (knownId ? state.videos : []).filter(function(data) {
+		return !removed[extractVideoId(data.url)];
+	});
+	let videos = parsed.videos.concat(kept.map(restoreVideo));
 
-// =============================================================================
-// PAGER FACTORY FUNCTIONS (API)
-// =============================================================================
+	updateFeedState(outboxUrl, {
+		etag: getResponseHeader(response, "etag"),
+		lastModified: getResponseHeader(response, "last-modified"),
+		newestId: parsed.newestId,
+		videos: videos.slice(0, PEEK_CACHED_VIDEOS).map(storeVideo)
+	});
+	return videos;
+};
 
 /**
- * Creates a video pager for the home feed using the custom API.
+ * Gets top-level comments for a video using the ActivityPub replies collection.
  *
- * @param {number} page - Page number (1-indexed)
- * @returns {APIVideoPager} Video pager with results
+ * @param {string} url - Video URL
+ * @returns {CommentPager} Pager containing comments
  */
-function getVideoPagerFromAPI(page) {
-	let url = BASE_URL + API_VIDEOS + "?page=" + page + "&limit=" + DEFAULT_VIDEO_LIMIT;
-
-	try {
-		let response = http.GET(url, {}, false);
-		if (!response.isOk) {
-			log("Failed to fetch videos: " + response.code);
-			return new APIVideoPager([], false, { page: page });
-		}
+source.getComments = function(url) {
+	url = toPixelTubeVideoUrl(url);
+	let videoId = extractVideoId(url);
+	if (!videoId) {
+		return new APCommentPager([], false, { contextUrl: url, nextPageUrl: null, parentId: null });
+	}
 
-		let data = JSON.parse(response.body);
-		let videos = (data.videos || []).map(function(v) {
-			return mapAPIVideoToResult(v);
-		});
+	let apVideo = fetchJSON(requireInstanceForUrl(url).baseUrl + "/w/" + videoId, ACTIVITYPUB_HEADERS, "video");
+	return getCommentsPagerFromAP(apVideo.comments || apVideo.replies, url, apVideo.id);
+};
 
-		let hasMore = (data.total || 0) > page * DEFAULT_VIDEO_LIMIT;
-		return new APIVideoPager(videos, hasMore, { page: page });
-	} catch (e) {
-		log("Error fetching videos: " + e);
-		return new APIVideoPager([], false, { page: page });
+/**
+ * Gets replies to a comment using the Note's own replies collection.
+ *
+ * @param {PlatformComment} comment - Parent comment returned by getComments
+ * @returns {CommentPager} Pager containing replies
+ */
+source.getSubComments = function(comment) {
+	let context = comment && comment.context ? comment.context : {};
+	if (!context.replies) {
+		return new APCommentPager([], false, { contextUrl: comment ? comment.contextUrl : null, nextPageUrl: null, parentId: null });
 	}
-}
+	return getCommentsPagerFromAP(context.replies, comment.contextUrl, context.id);
+};
 
 /**
- * Creates a video pager for search results using the custom API.
+ * Returns the capabilities for searching within a channel.
  *
- * @param {string} query - Search query
- * @param {number} page - Page number (1-indexed)
- * @returns {APIVideoPager} Video pager with search results
+ * @returns {Object} Channel search capabilities object
  */
-function getSearchVideoPagerFromAPI(query, page) {
-	let url = BASE_URL + API_VIDEOS + "?page=" + page + "&limit=" + DEFAULT_VIDEO_LIMIT + "&search=" + encodeURIComponent(query);
-
-	try {
-		let response = http.GET(url, {}, false);
-		if (!response.isOk) {
-			log("Failed to search videos: " + response.code);
-			return new APIVideoPager([], false, { page: page, search: query });
-		}
-
-		let data = JSON.parse(response.body);
-		let videos = (data.videos || []).map(function(v) {
-			return mapAPIVideoToResult(v);
-		});
-
-		let hasMore = (data.total || 0) > page * DEFAULT_VIDEO_LIMIT;
-		return new APIVideoPager(videos, hasMore, { page: page, search: query });
-	} catch (e) {
-		log("Error searching videos: " + e);
-		return new APIVideoPager([], false, { page: page, search: query });
-	}
-}
+source.getSearchChannelContentsCapabilities = function() {
+	return {
+		types: [Type.Feed.Mixed],
+		sorts: [],
+		filters: []
+	};
+};
 
 /**
- * Creates a channel pager for search results using the custom API.
+ * Searches the videos of a single channel.
+ * Uses the custom API with a channel constraint when the instance supports it,
+ * otherwise scans the channel's ActivityPub outbox for matching titles and descriptions.
  *
+ * @param {string} channelUrl - Channel URL
  * @param {string} query - Search query
- * @param {number} page - Page number (1-indexed)
- * @returns {APIChannelPager} Channel pager with results
+ * @param {string|null} type - Content type filter (unused)
+ * @param {string|null} order - Sort order (unused)
+ * @param {Object|null} filters - Additional filters (unused)
+ * @returns {VideoPager} Pager containing matching channel videos
  */
-function getChannelPagerFromAPI(query, page) {
-	let url = BASE_URL + API_CHANNELS + "?page=" + page + "&limit=" + DEFAULT_CHANNEL_LIMIT;
-	if (query) {
-		url += "&search=" + encodeURIComponent(query);
+source.searchChannelContents = function(channelUrl, query, type, order, filters) {
+	let channel = resolveChannel(channelUrl);
+	if (!channel) {
+		return new VideoPager([], false);
 	}
 
-	try {
-		let response = http.GET(url, {}, false);
-		if (!response.isOk) {
-			log("Failed to fetch channels: " + response.code);
-			return new APIChannelPager([], false, { page: page, search: query });
-		}
+	let instance = channel.instance;
+	let username = channel.username;
+	let apiPager = getChannelSearchPagerFromAPI(instance, username, query, 1);
+	if (apiPager) {
+		return apiPager;
+	}
 
-		let data = JSON.parse(response.body);
-		let channels = (data.channels || []).map(function(c) {
-			return new PlatformAuthorLink(
-				new PlatformID(PLATFORM, c.username, config.id),
-				c.name,
-				BASE_URL + "/c/" + c.username,
-				c.avatar || PLUGIN_LOGO_URL,
-				c.followers || 0
-			);
-		});
+	log("Channel search not supported by API, scanning outbox instead");
 
-		let hasMore = (data.total || 0) > page * DEFAULT_CHANNEL_LIMIT;
-		return new APIChannelPager(channels, hasMore, { page: page, search: query });
-	} catch (e) {
-		log("Error fetching channels: " + e);
-		return new APIChannelPager([], false, { page: page, search: query });
+	let avatar = null;
+	let actorName = null;
+	let actor = fetchAPActor(getChannelActorUrl(instance, username));
+	if (actor) {
+		actorName = actor.name || actor.preferredUsername || username;
+		avatar = pickImageUrl(actor.icon, null);
 	}
-}
 
-// =============================================================================
-// PAGER FACTORY FUNCTIONS (ACTIVITYPUB)
-// =============================================================================
+	return getChannelSearchPagerFromAP({
+		instance: instance,
+		username: username,
+		query: query,
+		nextPageUrl: null,
+		avatar: avatar,
+		name: actorName
+	});
+};
 
 /**
- * Parses an ActivityPub outbox response and extracts video objects.
+ * Checks if the given URL is a playlist URL.
  *
- * @param {string} responseBody - Raw JSON response body from outbox endpoint
- * @param {string} username - Channel username for building video URLs
- * @param {string|null} channelAvatar - Channel avatar URL for video author links
- * @returns {Object} Object with videos array, hasMore boolean, and nextPageUrl
+ * @param {string} url - URL to check
+ * @returns {boolean} True if this is a playlist URL
  */
-function parseOutboxResponse(responseBody, username, channelAvatar, channelName) {
-	try {
-		let data = JSON.parse(responseBody);
-		let videos = [];
-
-		// Extract videos from orderedItems (Create activities with Video objects)
-		if (data.orderedItems) {
-			for (let i = 0; i < data.orderedItems.length; i++) {
-				let activity = data.orderedItems[i];
-				if (!activity) continue;
-				if (activity.type === "Create" && activity.object && activity.object.type === "Video") {
-					let video = mapAPVideoToResult(activity.object, username, channelAvatar, channelName);
-					if (video) {
-						videos.push(video);
-					}
-				}
-			}
+source.isPlaylistUrl = function(url) {
+	return extractPlaylistId(url) !== null;
+};
+
+/**
+ * Gets a playlist and its videos using the ActivityPub Playlist collection.
+ * Videos are returned in playlist order.
+ *
+ * @param {string} url - Playlist URL
+ * @returns {PlatformPlaylistDetails} Playlist details object
+ * @throws {ScriptException} If the playlist cannot be fetched
+ */
+source.getPlaylist = function(url) {
+	let playlistId = extractPlaylistId(url);
+	if (!playlistId) {
+		throw new ScriptException("Invalid playlist URL: " + url);
+	}
+
+	let instance = requireInstanceForUrl(url);
+	let apPlaylist = fetchJSON(instance.baseUrl + "/w/p/" + playlistId, ACTIVITYPUB_HEADERS, "playlist");
+	let playlist = mapAPPlaylistToResult(instance, apPlaylist, playlistId);
+
+	return new PlatformPlaylistDetails({
+		id: playlist.id,
+		name: playlist.name,
+		author: playlist.author,
+		thumbnail: playlist.thumbnail,
+		videoCount: playlist.videoCount,
+		url: playlist.url,
+		contents: getPlaylistVideosPagerFromAP(instance, apPlaylist)
+	});
+};
+
+/**
+ * Gets the playlists published by a channel, shown as the channel's Playlists tab.
+ *
+ * @param {string} url - Channel URL
+ * @returns {PlaylistPager} Pager containing the channel's playlists
+ */
+source.getChannelPlaylists = function(url) {
+	let channel = resolveChannel(url);
+	if (!channel) {
+		return new PlaylistPager([], false);
+	}
+
+	let instance = channel.instance;
+	let username = channel.username;
+	let actorUrl = getChannelActorUrl(instance, username);
+	let playlistsUrl = actorUrl + "/playlists";
+
+	let actor = fetchAPActor(actorUrl);
+	if (actor && typeof actor.playlists === "string") {
+		playlistsUrl = actor.playlists;
+	}
+
+	return getChannelPlaylistsPagerFromAP(instance, playlistsUrl);
+};
+
+/**
+ * Searches for playlists matching the given query.
+ * Uses the custom API as ActivityPub doesn't provide search.
+ *
+ * @param {string} query - Search query
+ * @returns {PlaylistPager} Pager containing playlist results
+ */
+source.searchPlaylists = function(query) {
+	return getPlaylistPagerFromAPI(query, 1);
+};
+
+/**
+ * Checks whether the user is logged in.
+ *
+ * @returns {boolean} True if logged in
+ */
+source.isLoggedIn = function() {
+	return bridge.isLoggedIn();
+};
+
+/**
+ * Gets the channels followed by the logged-in account on the first configured
+ * instance. The login page is fixed to the default instance in the plugin
+ * config, so this only works when that instance is listed first.
+ *
+ * @returns {string[]} Channel URLs
+ * @throws {LoginRequiredException} If the user is not logged in
+ */
+source.getUserSubscriptions = function() {
+	let instance = instances[0];
+	return fetchUserListFromAPI(instance, API_USER_SUBSCRIPTIONS, "channels").map(function(c) {
+		return instance.baseUrl + "/c/" + c.username;
+	});
+};
+
+/**
+ * Gets the playlists saved by the logged-in account on the first configured
+ * instance. As with subscriptions, login only works for the default instance.
+ *
+ * @returns {string[]} Playlist URLs
+ * @throws {LoginRequiredException} If the user is not logged in
+ */
+source.getUserPlaylists = function() {
+	let instance = instances[0];
+	return fetchUserListFromAPI(instance, API_USER_PLAYLISTS, "playlists").map(function(p) {
+		return instance.baseUrl + "/w/p/" + p.id;
+	});
+};
+
+
+// =============================================================================
+// PAGER CLASSES
+// =============================================================================
+
+/**
+ * Video pager for home feed and search results (API-based).
+ */
+class APIVideoPager extends VideoPager {
+	constructor(results, hasMore, context) {
+		super(results, hasMore, context);
+	}
+
+	nextPage() {
+		if (this.context.buffer) {
+			return getBufferedVideoPager(this.context.buffer, this.context.offset + this.context.limit, this.context.limit);
+		}
+		let nextPageNum = (this.context.page || 1) + 1;
+		if (this.context.search) {
+			return getSearchVideoPagerFromAPI(this.context.search, nextPageNum, this.context.options);
+		}
+		if (this.context.options && this.context.options.recentChannels) {
+			return getRecentChannelsVideoPagerFromAPI(nextPageNum, this.context.options);
+		}
+		return getVideoPagerFromAPI(nextPageNum, this.context.options);
+	}
+}
+
+/**
+ * Video pager for channel content (ActivityPub-based).
+ */
+class APChannelVideoPager extends VideoPager {
+	constructor(results, hasMore, context) {
+		super(results, hasMore, context);
+	}
+
+	nextPage() {
+		let context = this.context;
+		let typeFilter = getChannelTypeFilter(context.type);
+		let pager = getChannelVideosPagerFromAP(context.instance, context.username, context.nextPageUrl,
+			context.avatar, context.name, typeFilter, context.seenIds);
+
+		// Sparse tabs such as Shorts can leave whole outbox pages empty
+		for (let scanned = 1; pager.results.length === 0 && pager.hasMore && pager.context.nextPageUrl && scanned < MAX_FILTER_SCAN_PAGES; scanned++) {
+			pager = getChannelVideosPagerFromAP(context.instance, context.username, pager.context.nextPageUrl,
+				context.avatar, context.name, typeFilter, pager.context.seenIds);
+		}
+		pager.context.type = context.type;
+		return pager;
+	}
+}
+
+/**
+ * Video pager for content recommendations, mixing several source pagers.
+ */
+class RecommendationPager extends VideoPager {
+	constructor(results, hasMore, context) {
+		super(results, hasMore, context);
+	}
+
+	nextPage() {
+		return getRecommendationPager(advancePagers(this.context.pagers), this.context.seen);
+	}
+}
+
+/**
+ * Channel pager for search results (API-based).
+ */
+class APIChannelPager extends ChannelPager {
+	constructor(results, hasMore, context) {
+		super(results, hasMore, context);
+	}
+
+	nextPage() {
+		let nextPageNum = (this.context.page || 1) + 1;
+		return getChannelPagerFromAPI(this.context.search, nextPageNum);
+	}
+}
+
+/**
+ * Video pager for channel search results (API-based).
+ */
+class APIChannelSearchPager extends VideoPager {
+	constructor(results, hasMore, context) {
+		super(results, hasMore, context);
+	}
+
+	nextPage() {
+		let nextPageNum = (this.context.page || 1) + 1;
+		return getChannelSearchPagerFromAPI(this.context.instance, this.context.username, this.context.search, nextPageNum,
+			this.context.options, this.context.type)
+			|| new APIChannelSearchPager([], false, this.context);
+	}
+}
+
+/**
+ * Video pager for channel search results (ActivityPub outbox scan).
+ */
+class APChannelSearchPager extends VideoPager {
+	constructor(results, hasMore, context) {
+		super(results, hasMore, context);
+	}
+
+	nextPage() {
+		return getChannelSearchPagerFromAP(this.context);
+	}
+}
+
+/**
+ * Video pager for a channel tab sorted oldest first (ActivityPub outbox, walked backwards).
+ */
+class APChannelOldestPager extends VideoPager {
+	constructor(results, hasMore, context) {
+		super(results, hasMore, context);
+	}
+
+	nextPage() {
+		return getOldestChannelPagerFromAP(this.context);
+	}
+}
+
+/**
+ * Playlist pager for search results (API-based).
+ */
+class APIPlaylistPager extends PlaylistPager {
+	constructor(results, hasMore, context) {
+		super(results, hasMore, context);
+	}
+
+	nextPage() {
+		let nextPageNum = (this.context.page || 1) + 1;
+		return getPlaylistPagerFromAPI(this.context.search, nextPageNum);
+	}
+}
+
+/**
+ * Playlist pager for a channel's playlists (ActivityPub-based).
+ */
+class APChannelPlaylistPager extends PlaylistPager {
+	constructor(results, hasMore, context) {
+		super(results, hasMore, context);
+	}
+
+	nextPage() {
+		return getChannelPlaylistsPagerFromAP(this.context.instance, this.context.nextPageUrl);
+	}
+}
+
+/**
+ * Video pager for playlist contents (ActivityPub-based).
+ */
+class APPlaylistVideoPager extends VideoPager {
+	constructor(results, hasMore, context) {
+		super(results, hasMore, context);
+	}
+
+	nextPage() {
+		return getPlaylistVideosPagerFromAP(this.context.instance, this.context.nextPageUrl);
+	}
+}
+
+/**
+ * Comment pager for video comments and replies (ActivityPub-based).
+ */
+class APCommentPager extends CommentPager {
+	constructor(results, hasMore, context) {
+		super(results, hasMore, context);
+	}
+
+	nextPage() {
+		return getCommentsPagerFromAP(this.context.nextPageUrl, this.context.contextUrl, this.context.parentId);
+	}
+}
+
+// =============================================================================
+// PAGER FACTORY FUNCTIONS (API)
+// =============================================================================
+
+/**
+ * Fetches the same API path from every enabled instance in a single batch.
+ * Instances that fail are logged and left out of the result, unless every
+ * instance fails, in which case the first failure is raised.
+ *
+ * @param {string} pathAndQuery - API path including query string
+ * @returns {Object[]} Array of { instance, data } for each successful instance
+ * @throws {ScriptException} If no instance returned a usable response
+ */
+function fetchFromAllInstances(pathAndQuery) {
+	let responses = requestBatchGET(instances.map(function(instance) {
+		return { url: instance.baseUrl + pathAndQuery, headers: {} };
+	}));
+
+	let results = [];
+	let firstError = null;
+	for (let i = 0; i < instances.length; i++) {
+		try {
+			let response = ensureOk(responses[i], "listing from " + instances[i].host);
+			results.push({ instance: instances[i], data: JSON.parse(response.body) });
+		} catch (e) {
+			log("Failed to fetch " + pathAndQuery + " from " + instances[i].host + ": " + e);
+			firstError = firstError || e;
+		}
+	}
+
+	if (results.length === 0 && firstError) {
+		throw firstError;
+	}
+	return results;
+}
+
+/**
+ * Merges per-instance result lists by interleaving them, so no single
+ * instance dominates the top of a page.
+ *
+ * @param {Array[]} lists - Result lists, one per instance
+ * @returns {Array} Interleaved results
+ */
+function interleaveResults(lists) {
+	let merged = [];
+	let maxLength = 0;
+	for (let i = 0; i < lists.length; i++) {
+		maxLength = Math.max(maxLength, lists[i].length);
+	}
+	for (let j = 0; j < maxLength; j++) {
+		for (let i = 0; i < lists.length; i++) {
+			if (j < lists[i].length) {
+				merged.push(lists[i][j]);
+			}
+		}
+	}
+	return merged;
+}
+
+/**
+ * Creates a video pager for the home feed using the custom API.
+ * Results from all enabled instances are merged. Unlike search, an instance
+ * that ignores the sort is not an error; the merged page is sorted client-side.
+ * Pages left empty by the feed filters are skipped, up to MAX_FILTER_SCAN_PAGES.
+ *
+ * @param {number} page - Page number (1-indexed)
+ * @param {Object|null} [options] - Parsed search options, e.g. a sort and start date
+ * @returns {APIVideoPager} Video pager with results
+ * @throws {ScriptException} If no instance could be reached
+ */
+function getVideoPagerFromAPI(page, options) {
+	options = options || null;
+	let limit = pluginSettings.homePageSize;
+	let params = "&limit=" + limit + (options ? buildSearchQueryParams(options) : "");
+
+	let result = fetchMergedVideosPage("?page=" + page + params, page, limit, options);
+	for (let scanned = 1; result.videos.length === 0 && result.hasMore && scanned < MAX_FILTER_SCAN_PAGES; scanned++) {
+		page++;
+		result = fetchMergedVideosPage("?page=" + page + params, page, limit, options);
+	}
+	return new APIVideoPager(result.videos, result.hasMore, { page: page, options: options });
+}
+
+/**
+ * Creates a video pager for search results using the custom API.
+ * Results from all enabled instances are merged. Sorts and filters are sent
+ * to the API and re-applied client-side, since not every instance supports them.
+ * When an instance ignores the sort, up to MAX_CLIENT_SORT_PAGES pages are
+ * fetched and sorted together, so "oldest" means the oldest within those pages.
+ *
+ * @param {string} query - Search query
+ * @param {number} page - Page number (1-indexed)
+ * @param {Object|null} options - Parsed search options from parseSearchOptions
+ * @returns {APIVideoPager} Video pager with search results
+ * @throws {ScriptException} If no instance could be reached
+ */
+function getSearchVideoPagerFromAPI(query, page, options) {
+	options = options || {};
+	let limit = pluginSettings.searchPageSize;
+	let baseQuery = "&limit=" + limit + "&search=" + encodeURIComponent(query) + buildSearchQueryParams(options);
+
+	let result = fetchMergedVideosPage("?page=" + page + baseQuery, page, limit, options);
+
+	// The API ignored the sort, so sort client-side over a bounded number of pages
+	if (options.sort && !result.sorted && page === 1) {
+		let videos = result.videos;
+		while (result.hasMore && page < MAX_CLIENT_SORT_PAGES) {
+			page++;
+			result = fetchMergedVideosPage("?page=" + page + baseQuery, page, limit, options);
+			videos = videos.concat(result.videos);
+		}
+		videos.sort(SEARCH_SORT_COMPARATORS[options.sort]);
+		return getBufferedVideoPager(videos, 0, limit);
+	}
+
+	// Keep scanning while client-side filters leave a page empty
+	let scanned = 1;
+	while (result.videos.length === 0 && result.hasMore && scanned < MAX_FILTER_SCAN_PAGES) {
+		page++;
+		scanned++;
+		result = fetchMergedVideosPage("?page=" + page + baseQuery, page, limit, options);
+	}
+
+	return new APIVideoPager(result.videos, result.hasMore, { page: page, search: query, options: options });
+}
+
+/**
+ * Fetches and merges one page of /api/videos from all enabled instances.
+ * With a sort, each instance's results are checked for that order and the
+ * merged page is sorted; without one, results are interleaved.
+ *
+ * @param {string} query - Query string for /api/videos
+ * @param {number} page - Page number (1-indexed)
+ * @param {number} limit - Page size requested from each instance
+ * @param {Object|null} options - Parsed search options
+ * @returns {Object} Object with videos array, hasMore boolean and sorted boolean
+ * @throws {ScriptException} If no instance could be reached
+ */
+function fetchMergedVideosPage(query, page, limit, options) {
+	let comparator = options && options.sort ? SEARCH_SORT_COMPARATORS[options.sort] : null;
+	let responses = fetchFromAllInstances(API_VIDEOS + query);
+	let hasMore = false;
+	let sorted = true;
+
+	let lists = responses.map(function(r) {
+		if ((r.data.total || 0) > page * limit) {
+			hasMore = true;
+		}
+		let videos = (r.data.videos || []).map(function(v) {
+			return mapAPIVideoToResult(r.instance, v);
+		});
+		if (comparator && !isSortedBy(videos, comparator)) {
+			sorted = false;
+		}
+		return videos;
+	});
+
+	let videos = comparator ? [].concat.apply([], lists).sort(comparator) : interleaveResults(lists);
+	return { videos: applyFeedFilters(videos, options), hasMore: hasMore, sorted: sorted };
+}
+
+/**
+ * Applies the minimum duration, Hide Shorts and blocked channel settings,
+ * then the given search options, to a page of home or search results.
+ *
+ * @param {PlatformVideo[]} videos - Videos to filter
+ * @param {Object|null} options - Parsed search options
+ * @returns {PlatformVideo[]} Filtered videos
+ */
+function applyFeedFilters(videos, options) {
+	videos = filterShortVideos(videos);
+	return videos.filter(function(v) {
+		if (pluginSettings.hideShorts && v.isShort) return false;
+		if (isBlockedChannel(v.author)) return false;
+		return !options || matchesSearchOptions(v, options);
+	});
+}
+
+/**
+ * Creates a video pager for the "Recently added channels" home feed.
+ * Lists the newest channels of all enabled instances and shows the latest
+ * uploads of each, fetched in one batch. Blocked channels are skipped, and
+ * channels whose uploads cannot be fetched are left out. Channel pages left
+ * without videos are skipped, up to MAX_FILTER_SCAN_PAGES.
+ *
+ * @param {number} page - Page number of the channel list (1-indexed)
+ * @param {Object} options - Home feed options, including an optional category
+ * @returns {APIVideoPager} Video pager with results
+ * @throws {ScriptException} If no instance could be reached
+ */
+function getRecentChannelsVideoPagerFromAPI(page, options) {
+	let result = fetchRecentChannelsVideosPage(page, options);
+	for (let scanned = 1; result.videos.length === 0 && result.hasMore && scanned < MAX_FILTER_SCAN_PAGES; scanned++) {
+		page++;
+		result = fetchRecentChannelsVideosPage(page, options);
+	}
+	return new APIVideoPager(result.videos, result.hasMore, { page: page, options: options });
+}
+
+/**
+ * Fetches one page of the "Recently added channels" home feed.
+ *
+ * @param {number} page - Page number of the channel list (1-indexed)
+ * @param {Object} options - Home feed options, including an optional category
+ * @returns {Object} Object with the filtered videos array and hasMore boolean
+ * @throws {ScriptException} If no instance could be reached
+ */
+function fetchRecentChannelsVideosPage(page, options) {
+	let limit = pluginSettings.channelPageSize;
+	let responses = fetchFromAllInstances(API_CHANNELS + "?page=" + page + "&limit=" + limit + "&sort=-createdAt");
+
+	let hasMore = false;
+	let channels = [];
+	for (let i = 0; i < responses.length; i++) {
+		if ((responses[i].data.total || 0) > page * limit) {
+			hasMore = true;
+		}
+		let instanceChannels = (responses[i].data.channels || []).filter(function(c) {
+			return c.username && !isBlockedChannel({ url: responses[i].instance.baseUrl + "/c/" + c.username, name: c.name });
+		});
+		channels = channels.concat(instanceChannels.map(function(c) {
+			return { instance: responses[i].instance, username: c.username, createdAt: parseISODate(c.createdAt) };
+		}));
+	}
+	if (channels.length === 0) {
+		return { videos: [], hasMore: hasMore };
+	}
+	channels.sort(function(a, b) {
+		return (b.createdAt || 0) - (a.createdAt || 0);
+	});
+
+	let videoParams = "&sort=" + encodeURIComponent(SEARCH_SORTS["Newest"]) + buildSearchQueryParams({ category: options.category });
+	let videoResponses = requestBatchGET(channels.map(function(c) {
+		return {
+			url: c.instance.baseUrl + API_VIDEOS + "?page=1&limit=" + RECENT_CHANNEL_VIDEO_LIMIT +
+				"&channel=" + encodeURIComponent(c.username) + videoParams,
+			headers: {}
+		};
+	}));
+
+	let lists = channels.map(function(c, i) {
+		try {
+			let data = JSON.parse(ensureOk(videoResponses[i], "channel videos").body);
+			// An instance without channel filtering returns videos from other channels
+			return (data.videos || []).filter(function(v) {
+				return v.channelUsername === c.username;
+			}).map(function(v) {
+				return mapAPIVideoToResult(c.instance, v);
+			});
+		} catch (e) {
+			log("Error fetching videos of " + c.username + ": " + e);
+			return [];
+		}
+	});
+
+	return { videos: applyFeedFilters(interleaveResults(lists), null), hasMore: hasMore };
+}
+
+/**
+ * Creates a video pager that pages through an already fetched result list.
+ *
+ * @param {PlatformVideo[]} buffer - All results, in final order
+ * @param {number} offset - Index of the first result on this page
+ * @param {number} limit - Page size
+ * @returns {APIVideoPager} Video pager over the buffered results
+ */
+function getBufferedVideoPager(buffer, offset, limit) {
+	return new APIVideoPager(buffer.slice(offset, offset + limit), offset + limit < buffer.length, {
+		buffer: buffer,
+		offset: offset,
+		limit: limit
+	});
+}
+
+/**
+ * Creates a recommendations page by interleaving the current page of each
+ * source pager. Videos already recommended, and the playing video, are
+ * skipped; pages left empty by that are skipped too, up to MAX_FILTER_SCAN_PAGES.
+ *
+ * @param {VideoPager[]} pagers - Source pagers holding their current page
+ * @param {Object} seen - Keys of video PlatformIDs already shown, updated in place
+ * @returns {RecommendationPager} Video pager with the merged page
+ */
+function getRecommendationPager(pagers, seen) {
+	let videos = [];
+	for (let scanned = 0; scanned < MAX_FILTER_SCAN_PAGES; scanned++) {
+		let merged = interleaveResults(pagers.map(function(pager) {
+			return pager.results || [];
+		}));
+		videos = merged.filter(function(video) {
+			let key = platformIdKey(video.id);
+			if (seen[key]) return false;
+			seen[key] = true;
+			return true;
+		});
+		if (videos.length > 0 || !hasMorePages(pagers)) break;
+		pagers = advancePagers(pagers);
+	}
+
+	return new RecommendationPager(videos, hasMorePages(pagers), { pagers: pagers, seen: seen });
+}
+
+/**
+ * Fetches the next page of every pager that has more. Pagers that fail are dropped.
+ *
+ * @param {VideoPager[]} pagers - Pagers holding their current page
+ * @returns {VideoPager[]} Pagers holding their next page
+ */
+function advancePagers(pagers) {
+	let next = [];
+	for (let i = 0; i < pagers.length; i++) {
+		if (!pagers[i].hasMore) continue;
+		try {
+			next.push(pagers[i].nextPage());
+		} catch (e) {
+			log("Error fetching next recommendations page: " + e);
+		}
+	}
+	return next;
+}
+
+/**
+ * Checks whether any of the given pagers has another page.
+ *
+ * @param {VideoPager[]} pagers - Pagers to check
+ * @returns {boolean} True if at least one pager has more results
+ */
+function hasMorePages(pagers) {
+	return pagers.some(function(pager) {
+		return pager.hasMore;
+	});
+}
+
+/**
+ * Creates a video pager for searching or sorting a single channel using the custom API.
+ * Returns null when the API fails, ignores the channel constraint or ignores
+ * the requested sort, or the channel is federated, so the caller can fall back
+ * to the outbox.
+ *
+ * @param {Object} instance - Instance the channel lives on
+ * @param {string} username - Channel username
+ * @param {string} query - Search query, or an empty string to list all videos
+ * @param {number} page - Page number (1-indexed)
+ * @param {Object|null} [options] - Parsed search options (sort, date and duration)
+ * @param {string|null} [type] - Channel tab feed type
+ * @returns {APIChannelSearchPager|null} Video pager with results, or null if unsupported
+ */
+function getChannelSearchPagerFromAPI(instance, username, query, page, options, type) {
+	// The API only lists channels archived on the instance itself
+	if (parseRemoteUsername(username)) return null;
+
+	options = options || {};
+	let limit = pluginSettings.searchPageSize;
+	let url = instance.baseUrl + API_VIDEOS + "?page=" + page + "&limit=" + limit +
+		(query ? "&search=" + encodeURIComponent(query) : "") +
+		"&channel=" + encodeURIComponent(username) + buildSearchQueryParams(options);
+
+	try {
+		let data = fetchJSON(url, {}, "channel search");
+		let apiVideos = data.videos || [];
+
+		// An instance without channel filtering returns videos from other channels
+		let constrained = apiVideos.every(function(v) {
+			return v.channelUsername === username;
+		});
+		if (!constrained) return null;
+
+		let videos = apiVideos.map(function(v) {
+			return mapAPIVideoToResult(instance, v);
+		});
+		if (options.sort && !isSortedBy(videos, SEARCH_SORT_COMPARATORS[options.sort])) return null;
+
+		let typeFilter = getAPIChannelTypeFilter(type);
+		videos = videos.filter(function(video, i) {
+			return (!typeFilter || typeFilter(apiVideos[i])) && matchesSearchOptions(video, options);
+		});
+		// Like getChannelTypeFilter, the minimum duration doesn't apply to Shorts
+		if (type !== Type.Feed.Shorts) {
+			videos = filterShortVideos(videos);
+		}
+
+		let hasMore = (data.total || 0) > page * limit;
+		return new APIChannelSearchPager(videos, hasMore, {
+			instance: instance,
+			username: username,
+			search: query,
+			page: page,
+			options: options,
+			type: type
+		});
+	} catch (e) {
+		// Falling back to the outbox would only hit the same limit
+		if (e instanceof RateLimitedException) throw e;
+		log("Error searching channel videos: " + e);
+		return null;
+	}
+}
+
+/**
+ * Creates a video pager over a channel's outbox, filtered and sorted client-side.
+ * Oldest first starts at the outbox's last page and pages backwards. Other sorts
+ * walk from the newest page, stopping at the first page older than the upload
+ * date filter, and at most MAX_CHANNEL_WALK_PAGES pages.
+ *
+ * @param {Object} instance - Instance the channel lives on
+ * @param {string} username - Channel username
+ * @param {string|null} channelAvatar - URL of the channel avatar
+ * @param {string|null} channelName - Channel display name
+ * @param {string|null} type - Channel tab feed type
+ * @param {Object} options - Parsed search options (sort, date and duration)
+ * @returns {VideoPager} Video pager over the sorted results
+ */
+function getSortedChannelPagerFromAP(instance, username, channelAvatar, channelName, type, options) {
+	// With a date filter only the newest pages can match, so those are walked instead
+	if (options.sort === "Oldest" && !options.startDate) {
+		let lastPageUrl = getOutboxLastPageUrl(instance, username);
+		if (lastPageUrl) {
+			return getOldestChannelPagerFromAP({
+				instance: instance,
+				username: username,
+				type: type,
+				options: options,
+				pageUrl: lastPageUrl,
+				avatar: channelAvatar,
+				name: channelName,
+				seenIds: []
+			});
+		}
+	}
+
+	let videos = [];
+	let nextPageUrl = null;
+	let seenIds = [];
+	for (let walked = 0; walked < MAX_CHANNEL_WALK_PAGES; walked++) {
+		let pager = getChannelVideosPagerFromAP(instance, username, nextPageUrl, channelAvatar, channelName, getChannelTypeFilter(type), seenIds);
+		videos = videos.concat(pager.results);
+		nextPageUrl = pager.context.nextPageUrl;
+		seenIds = pager.context.seenIds;
+		if (!pager.hasMore || !nextPageUrl) break;
+
+		let reachedStart = options.startDate && pager.results.some(function(v) {
+			return v.datetime && v.datetime < options.startDate;
+		});
+		if (reachedStart) break;
+	}
+
+	videos = videos.filter(function(v) {
+		return matchesSearchOptions(v, options);
+	});
+	if (options.sort) {
+		videos.sort(SEARCH_SORT_COMPARATORS[options.sort]);
+	}
+	return getBufferedVideoPager(videos, 0, pluginSettings.searchPageSize);
+}
+
+/**
+ * Creates a page of a channel tab sorted oldest first, reading outbox pages
+ * from the given page backwards through their prev links. Pages left empty by
+ * the filters are skipped, up to MAX_FILTER_SCAN_PAGES.
+ *
+ * @param {Object} context - Walk state: instance, username, type, options, pageUrl, avatar, name, seenIds
+ * @returns {APChannelOldestPager} Video pager with the page's videos, oldest first
+ */
+function getOldestChannelPagerFromAP(context) {
+	let typeFilter = getChannelTypeFilter(context.type);
+	let videos = [];
+	let pageUrl = context.pageUrl;
+	let seenIds = context.seenIds || [];
+	for (let scanned = 0; scanned < MAX_FILTER_SCAN_PAGES && pageUrl && videos.length === 0; scanned++) {
+		let response = ensureOk(requestGET(pageUrl, ACTIVITYPUB_HEADERS, false), "channel");
+		let parsed = parseOutboxResponse(response.body, context.instance, context.username, context.avatar, context.name, typeFilter, seenIds);
+		videos = parsed.videos.filter(function(v) {
+			return matchesSearchOptions(v, context.options);
+		}).reverse();
+		pageUrl = parsed.prevPageUrl;
+		seenIds = parsed.seenIds;
+	}
+
+	return new APChannelOldestPager(videos, !!pageUrl, Object.assign({}, context, {
+		pageUrl: pageUrl,
+		seenIds: seenIds
+	}));
+}
+
+/**
+ * Looks up the last (oldest) page of a channel's outbox collection.
+ *
+ * @param {Object} instance - Instance the channel is browsed through
+ * @param {string} username - Channel username, "name@host" for remote channels
+ * @returns {string|null} Last page URL, or null if the collection can't be read or doesn't link one
+ * @throws {RateLimitedException} If the instance is rate limiting
+ */
+function getOutboxLastPageUrl(instance, username) {
+	try {
+		let collectionUrl = parseRemoteUsername(username) ? getChannelOutboxUrl(instance, username) :
+			instance.baseUrl + "/actors/" + username + "/outbox";
+		let response = ensureOk(requestGET(collectionUrl, ACTIVITYPUB_HEADERS, false), "channel");
+		let last = JSON.parse(response.body).last;
+		return typeof last === "string" ? last : (last && last.id) || null;
+	} catch (e) {
+		if (e instanceof RateLimitedException) throw e;
+		log("Error reading channel outbox collection: " + e);
+		return null;
+	}
+}
+
+/**
+ * Creates a channel pager for search results using the custom API.
+ * Results from all enabled instances are merged.
+ *
+ * @param {string} query - Search query
+ * @param {number} page - Page number (1-indexed)
+ * @returns {APIChannelPager} Channel pager with results
+ * @throws {ScriptException} If no instance could be reached
+ */
+function getChannelPagerFromAPI(query, page) {
+	let limit = pluginSettings.channelPageSize;
+	let pathAndQuery = API_CHANNELS + "?page=" + page + "&limit=" + limit;
+	if (query) {
+		pathAndQuery += "&search=" + encodeURIComponent(query);
+	}
+
+	let responses = fetchFromAllInstances(pathAndQuery);
+	let hasMore = false;
+	let lists = responses.map(function(r) {
+		if ((r.data.total || 0) > page * limit) {
+			hasMore = true;
+		}
+		return (r.data.channels || []).map(function(c) {
+			return new PlatformAuthorLink(
+				new PlatformID(PLATFORM, instanceScopedId(r.instance, c.username), config.id),
+				c.name,
+				r.instance.baseUrl + "/c/" + c.username,
+				c.avatar || PLUGIN_LOGO_URL,
+				c.followers || 0
+			);
+		});
+	});
+
+	return new APIChannelPager(interleaveResults(lists), hasMore, { page: page, search: query });
+}
+
+/**
+ * Creates a playlist pager for search results using the custom API.
+ * Results from all enabled instances are merged.
+ *
+ * @param {string} query - Search query
+ * @param {number} page - Page number (1-indexed)
+ * @returns {APIPlaylistPager} Playlist pager with results
+ * @throws {ScriptException} If no instance could be reached
+ */
+function getPlaylistPagerFromAPI(query, page) {
+	let limit = pluginSettings.searchPageSize;
+	let pathAndQuery = API_PLAYLISTS + "?page=" + page + "&limit=" + limit + "&search=" + encodeURIComponent(query);
+
+	let responses = fetchFromAllInstances(pathAndQuery);
+	let hasMore = false;
+	let lists = responses.map(function(r) {
+		if ((r.data.total || 0) > page * limit) {
+			hasMore = true;
+		}
+		return (r.data.playlists || []).map(function(p) {
+			return new PlatformPlaylist({
+				id: new PlatformID(PLATFORM, instanceScopedId(r.instance, p.id), config.id),
+				name: p.name,
+				author: new PlatformAuthorLink(
+					new PlatformID(PLATFORM, instanceScopedId(r.instance, p.channelUsername), config.id),
+					p.channelName || p.channelUsername,
+					r.instance.baseUrl + "/c/" + p.channelUsername,
+					p.channelAvatar || PLUGIN_LOGO_URL
+				),
+				thumbnail: p.thumbnailUrl || PLUGIN_LOGO_URL,
+				videoCount: p.videoCount || 0,
+				url: r.instance.baseUrl + "/w/p/" + p.id
+			});
+		});
+	});
+
+	return new APIPlaylistPager(interleaveResults(lists), hasMore, { page: page, search: query });
+}
+
+/**
+ * Fetches every page of an authenticated list endpoint for the logged-in account.
+ *
+ * @param {Object} instance - Instance the user is logged in to
+ * @param {string} path - API path, e.g. API_USER_SUBSCRIPTIONS
+ * @param {string} key - Property of the response holding the items
+ * @returns {Object[]} All items across pages
+ * @throws {LoginRequiredException} If the user is not logged in or the session expired
+ */
+function fetchUserListFromAPI(instance, path, key) {
+	if (!bridge.isLoggedIn()) {
+		throw new LoginRequiredException("Log in to PixelTube to import your " + key);
+	}
+
+	let limit = 100;
+	let items = [];
+	for (let page = 1; page <= MAX_USER_LIST_PAGES; page++) {
+		let response = requestGET(instance.baseUrl + path + "?page=" + page + "&limit=" + limit, {}, true);
+		if (response.code === 401 || response.code === 403) {
+			if (instance.baseUrl !== DEFAULT_INSTANCE_URL) {
+				throw new LoginRequiredException("Login only works for " + DEFAULT_INSTANCE_URL + ", not " + instance.host);
+			}
+			throw new LoginRequiredException("PixelTube session expired, please log in again");
+		}
+
+		let data = JSON.parse(ensureOk(response, key).body);
+		items = items.concat(data[key] || []);
+		if ((data.total || 0) <= page * limit) break;
+	}
+	return items;
+}
+
+// =============================================================================
+// PAGER FACTORY FUNCTIONS (ACTIVITYPUB)
+// =============================================================================
+
+/**
+ * Parses an ActivityPub outbox response and extracts video objects.
+ * Create, Update and Announce activities are read; objects given only by URL,
+ * and embedded objects trimmed of their views, duration or thumbnail, are
+ * fetched in a single batch. Videos are placed where they were created or
+ * announced, in the latest version an Update on the page gives them, and videos
+ * removed by a Delete are dropped. Announced videos keep their original author,
+ * whose name and avatar are fetched in a second batch. With stopAtId, only
+ * the activities above the Create or Announce of that video are read, so
+ * nothing is fetched for videos that were already seen.
+ *
+ * @param {string} responseBody - Raw JSON response body from outbox endpoint
+ * @param {Object} instance - Instance the outbox belongs to
+ * @param {string} username - Channel username for building video URLs
+ * @param {string|null} channelAvatar - Channel avatar URL for video author links
+ * @param {string|null} channelName - Channel display name for video author links
+ * @param {Function} [objectFilter] - Predicate on the raw Video object, see getChannelTypeFilter;
+ *   defaults to the minimum duration setting
+ * @param {string[]} [seenIds] - Video ids already shown or deleted on earlier pages
+ * @param {string} [stopAtId] - Id of the newest video already seen, where reading stops
+ * @returns {Object} Object with videos array, hasMore boolean, nextPageUrl, prevPageUrl,
+ *   seenIds (the given ids plus those shown or deleted on this page) and newestId
+ *   (the id of the newest video created or announced on the page)
+ * @throws {ScriptException} If the response is not valid JSON
+ */
+function parseOutboxResponse(responseBody, instance, username, channelAvatar, channelName, objectFilter, seenIds, stopAtId) {
+	let data;
+	try {
+		data = JSON.parse(responseBody);
+	} catch (e) {
+		throw new ScriptException("Invalid channel outbox response: " + e);
+	}
+
+	let items = asArray(data.orderedItems).filter(function(activity) {
+		return activity && OUTBOX_ACTIVITY_TYPES.indexOf(activity.type) >= 0;
+	});
+	let objectId = function(activity) {
+		return typeof activity.object === "string" ? activity.object : (activity.object && activity.object.id);
+	};
+	let isPosted = function(activity) {
+		return activity.type === "Create" || activity.type === "Announce";
+	};
+
+	let newestId = null;
+	for (let i = 0; i < items.length && !newestId; i++) {
+		if (isPosted(items[i])) newestId = objectId(items[i]) || null;
+	}
+	if (stopAtId) {
+		for (let i = 0; i < items.length; i++) {
+			if (isPosted(items[i]) && objectId(items[i]) === stopAtId) {
+				items = items.slice(0, i);
+				break;
+			}
+		}
+	}
+
+	// Resolve objects that are only referenced by URL or embedded without
+	// their metadata (Deletes only need the id). Failed fetches are skipped.
+	let objects = batchFetchAPObjects(items.filter(function(activity) {
+		if (activity.type === "Delete") return false;
+		return typeof activity.object === "string" || isTrimmedAPVideo(activity.object);
+	}).map(objectId));
+
+	let seen = {};
+	let allSeenIds = (seenIds || []).slice();
+	for (let i = 0; i < allSeenIds.length; i++) {
+		seen[allSeenIds[i]] = true;
+	}
+	for (let i = 0; i < items.length; i++) {
+		let id = objectId(items[i]);
+		if (items[i].type === "Delete" && id && !seen[id]) {
+			seen[id] = true;
+			allSeenIds.push(id);
+		}
+	}
+
+	// The outbox is newest first, so the first version of a video on the page is its latest
+	let resolved = [];
+	let latest = {};
+	for (let i = 0; i < items.length; i++) {
+		let activity = items[i];
+		if (activity.type === "Delete") continue;
+		let apVideo = typeof activity.object === "string" ? objects[activity.object] : activity.object;
+		if (apVideo && typeof activity.object === "object" && objects[apVideo.id] && objects[apVideo.id].type === "Video") {
+			apVideo = Object.assign({}, apVideo, objects[apVideo.id]);
+		}
+		if (!apVideo || apVideo.type !== "Video" || !apVideo.id) continue;
+		if (!latest[apVideo.id]) {
+			latest[apVideo.id] = apVideo;
+		}
+		// An Update only refreshes a video; it doesn't move it up the feed
+		if (activity.type !== "Update") {
+			resolved.push({ activity: activity, apVideo: apVideo });
+		}
+	}
+
+	// Announced videos are credited to their own channel, which may live elsewhere
+	let remoteAuthors = {};
+	let actorUrls = [];
+	for (let i = 0; i < resolved.length; i++) {
+		if (resolved[i].activity.type !== "Announce") continue;
+		let author = extractChannelFromAttributedTo(resolved[i].apVideo.attributedTo);
+		if (!author.username || !author.actorUrl || author.username === username) continue;
+		let actor = cacheGet("actor:" + author.actorUrl);
+		if (actor) {
+			remoteAuthors[author.actorUrl] = actor;
+		} else {
+			actorUrls.push(author.actorUrl);
+		}
+	}
+	let fetchedActors = batchFetchAPObjects(actorUrls);
+	Object.keys(fetchedActors).forEach(function(actorUrl) {
+		remoteAuthors[actorUrl] = trimActor(fetchedActors[actorUrl]);
+		cacheSet("actor:" + actorUrl, remoteAuthors[actorUrl], ACTOR_CACHE_TTL);
+	});
+
+	let videos = [];
+	for (let i = 0; i < resolved.length; i++) {
+		let activity = resolved[i].activity;
+		let apVideo = latest[resolved[i].apVideo.id];
+		if (seen[apVideo.id]) continue;
+		seen[apVideo.id] = true;
+		allSeenIds.push(apVideo.id);
+
+		if (!(objectFilter || meetsMinDuration)(apVideo)) continue;
+
+		let video;
+		let author = extractChannelFromAttributedTo(apVideo.attributedTo);
+		if (activity.type === "Announce" && author.username && author.actorUrl && author.username !== username) {
+			// Remote videos are also served by the instance that announced them
+			let idHost = apVideo.id.match(/^https?:\/\/([^\/?#]+)/i);
+			let videoInstance = (idHost && getInstanceByHost(idHost[1])) || instance;
+			let actorHost = author.actorUrl.match(/^https?:\/\/([^\/?#]+)/i);
+			let authorUsername = author.username;
+			if (actorHost && actorHost[1].toLowerCase() !== videoInstance.host) {
+				authorUsername += "@" + actorHost[1].toLowerCase();
+			}
+			let actor = remoteAuthors[author.actorUrl];
+			video = mapAPVideoToResult(videoInstance, apVideo, authorUsername,
+				actor ? pickImageUrl(actor.icon, null) : null,
+				actor ? (actor.name || actor.preferredUsername) : null);
+		} else {
+			video = mapAPVideoToResult(instance, apVideo, username, channelAvatar, channelName);
+		}
+		if (video) {
+			videos.push(video);
+		}
+	}
+
+	return {
+		videos: videos,
+		hasMore: !!data.next,
+		nextPageUrl: data.next || null,
+		prevPageUrl: data.prev || null,
+		seenIds: allSeenIds,
+		newestId: newestId
+	};
+}
+
+/**
+ * Returns the first page of an outbox response. Channels on this bridge link
+ * their first page directly; other servers answer with the collection,
+ * whose first page is embedded or fetched.
+ *
+ * @param {string} responseBody - Raw JSON response body from an outbox URL
+ * @returns {string} Raw JSON body of the first outbox page
+ * @throws {ScriptException} If the first page cannot be fetched
+ */
+function readOutboxPage(responseBody) {
+	let data;
+	try {
+		data = JSON.parse(responseBody);
+	} catch (e) {
+		// Reported by parseOutboxResponse
+		return responseBody;
+	}
+	if (!data || data.orderedItems || !data.first) return responseBody;
+
+	if (typeof data.first === "string") {
+		return ensureOk(requestGET(data.first, ACTIVITYPUB_HEADERS, false), "channel").body;
+	}
+	return JSON.stringify(data.first);
+}
+
+/**
+ * Checks whether an embedded outbox Video is missing the views, duration or
+ * thumbnail that the full object carries. Live broadcasts have no duration.
+ *
+ * @param {Object} apVideo - ActivityPub Video object from an outbox activity
+ * @returns {boolean} True if the full object should be fetched
+ */
+function isTrimmedAPVideo(apVideo) {
+	if (!apVideo || typeof apVideo !== "object" || apVideo.type !== "Video" || !apVideo.id) return false;
+	if (apVideo.views === undefined || apVideo.views === null) return true;
+	if (!apVideo.icon) return true;
+	return !apVideo.duration && !apVideo.isLiveBroadcast;
+}
+
+/**
+ * Creates a video pager for channel content using ActivityPub outbox.
+ *
+ * @param {Object} instance - Instance the channel lives on
+ * @param {string} username - Channel username
+ * @param {string|null} pageUrl - URL for next page, or null for first page
+ * @param {string|null} channelAvatar - URL of the channel avatar
+ * @param {string|null} channelName - Channel display name
+ * @param {Function} [objectFilter] - Optional predicate on the raw Video object
+ * @param {string[]} [seenIds] - Video ids already shown or deleted on earlier pages
+ * @returns {APChannelVideoPager} Video pager with channel videos
+ * @throws {ScriptException} If the outbox page cannot be fetched
+ */
+function getChannelVideosPagerFromAP(instance, username, pageUrl, channelAvatar, channelName, objectFilter, seenIds) {
+	let url = pageUrl || getChannelOutboxUrl(instance, username);
+
+	let response = ensureOk(requestGET(url, ACTIVITYPUB_HEADERS, false), "channel");
+	let parsed = parseOutboxResponse(readOutboxPage(response.body), instance, username, channelAvatar, channelName, objectFilter, seenIds);
+
+	return new APChannelVideoPager(parsed.videos, parsed.hasMore, {
+		instance: instance,
+		username: username,
+		nextPageUrl: parsed.nextPageUrl,
+		avatar: channelAvatar,
+		name: channelName,
+		seenIds: parsed.seenIds
+	});
+}
+
+/**
+ * Creates a video pager for channel search results by scanning the outbox.
+ * Scans up to MAX_OUTBOX_SCAN_PAGES outbox pages per call and keeps the
+ * scan position in the pager context, so the next page resumes where this one stopped.
+ * An empty query matches every video, which is used to skip through sparse channel tabs.
+ *
+ * @param {Object} context - Scan state: instance, username, query, type, nextPageUrl, avatar, name, seenIds
+ * @returns {APChannelSearchPager} Video pager with matching videos
+ */
+function getChannelSearchPagerFromAP(context) {
+	let terms = (context.query || "").toLowerCase().split(/\s+/).filter(function(t) {
+		return t.length > 0;
+	});
+	let typeFilter = getChannelTypeFilter(context.type);
+	let matchesQuery = function(apVideo) {
+		if (!typeFilter(apVideo)) return false;
+		let text = ((apVideo.name || "") + " " + htmlToText(apVideo.content || "")).toLowerCase();
+		return terms.every(function(t) {
+			return text.indexOf(t) >= 0;
+		});
+	};
+
+	let videos = [];
+	let nextPageUrl = context.nextPageUrl;
+	let seenIds = context.seenIds || [];
+	let hasMore = true;
+	for (let scanned = 0; scanned < MAX_OUTBOX_SCAN_PAGES && hasMore && videos.length < OUTBOX_SCAN_TARGET_RESULTS; scanned++) {
+		let pager = getChannelVideosPagerFromAP(context.instance, context.username, nextPageUrl, context.avatar, context.name, matchesQuery, seenIds);
+		videos = videos.concat(pager.results);
+		nextPageUrl = pager.context.nextPageUrl;
+		seenIds = pager.context.seenIds;
+		hasMore = pager.hasMore && !!nextPageUrl;
+	}
+
+	return new APChannelSearchPager(videos, hasMore, {
+		instance: context.instance,
+		username: context.username,
+		query: context.query,
+		type: context.type,
+		nextPageUrl: nextPageUrl,
+		avatar: context.avatar,
+		name: context.name,
+		seenIds: seenIds
+	});
+}
+
+/**
+ * Creates a playlist pager from a channel's ActivityPub playlists collection.
+ *
+ * @param {Object} instance - Instance the channel lives on
+ * @param {string|Object|null} collection - Playlists collection, page or page URL
+ * @returns {APChannelPlaylistPager} Playlist pager with results
+ * @throws {ScriptException} If the collection page cannot be fetched
+ */
+function getChannelPlaylistsPagerFromAP(instance, collection) {
+	let emptyPager = new APChannelPlaylistPager([], false, { instance: instance, nextPageUrl: null });
+	if (!collection) return emptyPager;
+
+	let page = resolveAPCollectionPage(collection);
+	if (!page) return emptyPager;
+
+	// Items may be embedded Playlists or bare Playlist URLs
+	let items = asArray(page.orderedItems || page.items);
+	let playlistObjects = batchFetchAPObjects(items.filter(function(item) {
+		return typeof item === "string";
+	}));
+
+	let playlists = [];
+	for (let i = 0; i < items.length; i++) {
+		let apPlaylist = typeof items[i] === "string" ? playlistObjects[items[i]] : items[i];
+		if (!apPlaylist || apPlaylist.type !== "Playlist") continue;
+		playlists.push(mapAPPlaylistToResult(instance, apPlaylist, null));
+	}
+
+	let nextPageUrl = page.next ? (typeof page.next === "string" ? page.next : page.next.id) : null;
+	return new APChannelPlaylistPager(playlists, !!nextPageUrl, { instance: instance, nextPageUrl: nextPageUrl });
+}
+
+/**
+ * Creates a video pager from an ActivityPub Playlist collection.
+ * PlaylistElement items are resolved to their Video objects and kept in playlist order.
+ *
+ * @param {Object} instance - Instance the playlist lives on
+ * @param {string|Object|null} collection - Playlist, page or page URL
+ * @returns {APPlaylistVideoPager} Video pager with playlist videos
+ * @throws {ScriptException} If the collection page cannot be fetched
+ */
+function getPlaylistVideosPagerFromAP(instance, collection) {
+	let emptyPager = new APPlaylistVideoPager([], false, { instance: instance, nextPageUrl: null });
+	if (!collection) return emptyPager;
+
+	let page = resolveAPCollectionPage(collection);
+	if (!page) return emptyPager;
+
+	// Items may be embedded PlaylistElements or bare element URLs
+	let items = asArray(page.orderedItems || page.items);
+	let elementObjects = batchFetchAPObjects(items.filter(function(item) {
+		return typeof item === "string";
+	}));
+
+	let elements = [];
+	for (let i = 0; i < items.length; i++) {
+		let element = typeof items[i] === "string" ? elementObjects[items[i]] : items[i];
+		if (!element || element.type !== "PlaylistElement" || !element.url) continue;
+		elements.push(element);
+	}
+	elements.sort(function(a, b) {
+		return (a.position || 0) - (b.position || 0);
+	});
+
+	let videoObjects = batchFetchAPObjects(elements.map(function(element) {
+		return typeof element.url === "string" ? element.url : element.url.href;
+	}));
+
+	let videos = [];
+	for (let i = 0; i < elements.length; i++) {
+		let videoUrl = typeof elements[i].url === "string" ? elements[i].url : elements[i].url.href;
+		let apVideo = videoObjects[videoUrl];
+		if (!apVideo) continue;
+		let channelUsername = extractChannelFromAttributedTo(apVideo.attributedTo).username;
+		let video = mapAPVideoToResult(instance, apVideo, channelUsername, null, null);
+		if (video) {
+			videos.push(video);
+		}
+	}
+
+	let nextPageUrl = page.next ? (typeof page.next === "string" ? page.next : page.next.id) : null;
+	return new APPlaylistVideoPager(videos, !!nextPageUrl, { instance: instance, nextPageUrl: nextPageUrl });
+}
+
+/**
+ * Resolves an ActivityPub collection reference to its first page.
+ * Accepts a collection URL, an embedded collection or an embedded page.
+ *
+ * @param {string|Object|null} collection - Collection or page reference
+ * @returns {Object|null} Collection page object, or null if unavailable
+ * @throws {ScriptException} If a referenced page cannot be fetched
+ */
+function resolveAPCollectionPage(collection) {
+	let page = collection;
+	if (typeof page === "string") {
+		page = fetchJSON(page, ACTIVITYPUB_HEADERS, "collection");
+	}
+	if (!page) return null;
+
+	// Collections point at their first page instead of listing items themselves
+	if (!page.orderedItems && !page.items && page.first) {
+		return resolveAPCollectionPage(page.first);
+	}
+	return page;
+}
+
+/**
+ * Creates a comment pager from an ActivityPub replies/comments collection.
+ * Only direct replies to the parent object are kept; nested replies are
+ * loaded lazily through each Note's own replies collection.
+ *
+ * @param {string|Object|null} collection - Collection, page or page URL
+ * @param {string} contextUrl - Video URL the comments belong to
+ * @param {string|null} parentId - ActivityPub id of the video or parent Note
+ * @returns {APCommentPager} Comment pager with results
+ * @throws {ScriptException} If the collection page cannot be fetched
+ */
+function getCommentsPagerFromAP(collection, contextUrl, parentId) {
+	let emptyPager = new APCommentPager([], false, { contextUrl: contextUrl, nextPageUrl: null, parentId: parentId });
+	if (!collection) return emptyPager;
+
+	let page = resolveAPCollectionPage(collection);
+	if (!page) return emptyPager;
+
+	// Items may be embedded Notes or bare Note URLs
+	let items = asArray(page.orderedItems || page.items);
+	let noteObjects = batchFetchAPObjects(items.filter(function(item) {
+		return typeof item === "string";
+	}));
+
+	let notes = [];
+	for (let i = 0; i < items.length; i++) {
+		let note = typeof items[i] === "string" ? noteObjects[items[i]] : items[i];
+		if (!note || note.type !== "Note") continue;
+		if (parentId && note.inReplyTo) {
+			let inReplyTo = asArray(note.inReplyTo).map(function(r) {
+				return typeof r === "string" ? r : r.id;
+			});
+			if (inReplyTo.indexOf(parentId) < 0) continue;
+		}
+		notes.push(note);
+	}
+
+	// Fetch authors and any collections that are only referenced by URL
+	let refs = [];
+	for (let i = 0; i < notes.length; i++) {
+		let authorUrl = asArray(notes[i].attributedTo)[0];
+		if (typeof authorUrl === "string") refs.push(authorUrl);
+		if (typeof notes[i].replies === "string") refs.push(notes[i].replies);
+		if (typeof notes[i].likes === "string") refs.push(notes[i].likes);
+	}
+	let refObjects = batchFetchAPObjects(refs);
+
+	let comments = notes.map(function(note) {
+		return mapAPNoteToComment(note, contextUrl, refObjects);
+	});
+
+	let nextPageUrl = page.next ? (typeof page.next === "string" ? page.next : page.next.id) : null;
+	return new APCommentPager(comments, !!nextPageUrl, { contextUrl: contextUrl, nextPageUrl: nextPageUrl, parentId: parentId });
+}
+
+// =============================================================================
+// HTTP REQUESTS
+// =============================================================================
+
+/**
+ * Thrown when an instance keeps answering 429 Too Many Requests.
+ * retryAfter holds the seconds the server asked to wait, or null if it didn't say.
+ */
+class RateLimitedException extends ScriptException {
+	constructor(message, retryAfter) {
+		super("RateLimitedException", message);
+		this.retryAfter = retryAfter === undefined ? null : retryAfter;
+	}
+}
+
+/**
+ * Performs a GET request, retrying transient failures.
+ * 5xx responses and network errors are retried up to MAX_HTTP_RETRIES times
+ * with exponential backoff, and a 429 with a short Retry-After is retried
+ * once it has passed (see getRetryDelay). Without a way to wait the request
+ * is not retried at all. Other responses, including 429 and other 4xx
+ * errors, are returned as-is; use ensureOk to turn them into errors.
+ *
+ * @param {string} url - URL to fetch
+ * @param {Object} headers - Request headers
+ * @param {boolean} useAuth - Whether to send the logged-in user's credentials
+ * @returns {Object} HTTP response
+ * @throws {ScriptException} If the request still fails with a network error after retries
+ */
+function requestGET(url, headers, useAuth) {
+	for (let attempt = 0; ; attempt++) {
+		let response = null;
+		let networkError = null;
+		try {
+			response = http.GET(url, headers, useAuth);
+		} catch (e) {
+			networkError = e;
+		}
+
+		let delay = getRetryDelay(response, attempt);
+		if (delay < 0) {
+			if (!response) {
+				throw new ScriptException("Network error fetching " + url + ": " + networkError);
+			}
+			return response;
+		}
+
+		log("Retrying " + url + " in " + delay + "ms (" + (networkError || response.code) + ")");
+		bridge.sleep(delay);
+	}
+}
+
+/**
+ * Performs several GET requests in one batch, retrying transient failures.
+ * Only the failed requests are sent again, after the longest of their
+ * waits (see getRetryDelay). Responses keep the order of the
+ * requests, including 429 and other error responses, which callers handle
+ * per request; a request that keeps failing with a network error yields null.
+ *
+ * @param {Object[]} requests - Array of { url, headers } objects
+ * @returns {Array<Object|null>} HTTP responses
+ */
+function requestBatchGET(requests) {
+	let responses = new Array(requests.length);
+	let pending = requests.map(function(r, i) { return i; });
+
+	for (let attempt = 0; pending.length > 0; attempt++) {
+		let batch = http.batch();
+		for (let i = 0; i < pending.length; i++) {
+			batch.GET(requests[pending[i]].url, requests[pending[i]].headers || {}, false);
+		}
+
+		let batchResponses = [];
+		try {
+			batchResponses = batch.execute();
+		} catch (e) {
+			log("Network error executing batch: " + e);
+		}
+
+		let failed = [];
+		let wait = 0;
+		for (let i = 0; i < pending.length; i++) {
+			let response = batchResponses[i] || null;
+			responses[pending[i]] = response;
+			let delay = getRetryDelay(response, attempt);
+			if (delay >= 0) {
+				failed.push(pending[i]);
+				wait = Math.max(wait, delay);
+			}
+		}
+
+		pending = failed;
+		if (pending.length > 0) {
+			log("Retrying " + pending.length + " batched request(s) in " + wait + "ms");
+			bridge.sleep(wait);
+		}
+	}
+	return responses;
+}
+
+/**
+ * Fetches a URL and parses the JSON response, throwing a typed error on failure.
+ *
+ * @param {string} url - URL to fetch
+ * @param {Object} headers - Request headers
+ * @param {string} description - What is being fetched, for error messages (e.g. "video")
+ * @param {boolean} [useAuth] - Whether to send the logged-in user's credentials
+ * @returns {Object} Parsed response body
+ * @throws {UnavailableException} If the resource does not exist (404/410)
+ * @throws {RateLimitedException} If the server is rate limiting requests
+ * @throws {ScriptException} For any other failure
+ */
+function fetchJSON(url, headers, description, useAuth) {
+	let response = ensureOk(requestGET(url, headers, !!useAuth), description);
+	try {
+		return JSON.parse(response.body);
+	} catch (e) {
+		throw new ScriptException("Invalid " + description + " response: " + e);
+	}
+}
+
+/**
+ * Maps an unsuccessful response to the matching Grayjay exception.
+ *
+ * @param {Object|null} response - HTTP response
+ * @param {string} description - What was being fetched, for error messages
+ * @returns {Object} The response, if it was successful
+ * @throws {UnavailableException} For 404 Not Found and 410 Gone
+ * @throws {RateLimitedException} For 429 Too Many Requests
+ * @throws {ScriptException} For any other failure
+ */
+function ensureOk(response, description) {
+	if (response && response.isOk) return response;
+
+	let code = response ? response.code : "network error";
+	if (code === 404 || code === 410) {
+		throw new UnavailableException("The " + description + " is no longer available (" + code + ")");
+	}
+	if (code === 429) {
+		let retryAfter = parseRetryAfter(response);
+		throw new RateLimitedException("PixelTube is rate limiting requests, please try again " +
+			(retryAfter !== null ? "in " + retryAfter + " seconds" : "later"), retryAfter);
+	}
+	throw new ScriptException("Failed to fetch " + description + ": " + code);
+}
+
+/**
+ * Checks whether a response is worth retrying.
+ *
+ * @param {Object|null} response - HTTP response, or null after a network error
+ * @returns {boolean} True for network errors and 5xx responses
+ */
+function isTransientFailure(response) {
+	if (!response || !response.code || response.code <= 0) return true;
+	return response.code >= 500;
+}
+
+/**
+ * Returns how long to wait before retrying a request. Transient failures
+ * back off exponentially from HTTP_RETRY_BASE_DELAY_MS; a 429 waits for its
+ * Retry-After when that is at most MAX_RETRY_AFTER_WAIT_SECONDS. Nothing is
+ * retried when the runtime can't sleep, as retrying straight away would
+ * only add load to a struggling server.
+ *
+ * @param {Object|null} response - HTTP response, or null after a network error
+ * @param {number} attempt - Number of retries made so far
+ * @returns {number} Milliseconds to wait, or -1 if the request should not be retried
+ */
+function getRetryDelay(response, attempt) {
+	if (attempt >= MAX_HTTP_RETRIES || typeof bridge.sleep !== "function") return -1;
+	if (response && response.code === 429) {
+		let retryAfter = parseRetryAfter(response);
+		return retryAfter !== null && retryAfter <= MAX_RETRY_AFTER_WAIT_SECONDS ? retryAfter * 1000 : -1;
+	}
+	return isTransientFailure(response) ? HTTP_RETRY_BASE_DELAY_MS * Math.pow(2, attempt) : -1;
+}
+
+/**
+ * Reads the Retry-After header of a response, given either as seconds or
+ * as an HTTP date.
+ *
+ * @param {Object|null} response - HTTP response
+ * @returns {number|null} Seconds to wait, or null if the header is absent or invalid
+ */
+function parseRetryAfter(response) {
+	let value = getResponseHeader(response, "retry-after");
+	if (!value) return null;
+	if (/^\s*\d+\s*$/.test(value)) return parseInt(value, 10);
+
+	let date = Date.parse(value);
+	return isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Reads a response header case-insensitively.
+ *
+ * @param {Object} response - HTTP response
+ * @param {string} name - Lower-case header name
+ * @returns {string|null} First header value, or null if absent
+ */
+function getResponseHeader(response, name) {
+	let headers = response && response.headers ? response.headers : {};
+	for (let key in headers) {
+		if (key.toLowerCase() === name) {
+			let value = asArray(headers[key])[0];
+			return value !== undefined && value !== null ? String(value) : null;
+		}
+	}
+	return null;
+}
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Parses the user settings into typed preferences.
+ * Dropdown settings arrive as the index of the selected option.
+ *
+ * @param {Object} settings - Raw settings object
+ * @returns {Object} Parsed preferences
+ */
+function parseSettings(settings) {
+	return {
+		maxResolution: getDropdownValue(settings.maxResolution, MAX_RESOLUTION_OPTIONS, 0),
+		preferredFormat: getDropdownValue(settings.preferredFormat, PREFERRED_FORMAT_OPTIONS, 0),
+		homePageSize: getDropdownValue(settings.homePageSize, PAGE_SIZE_OPTIONS, PAGE_SIZE_OPTIONS.indexOf(DEFAULT_VIDEO_LIMIT)),
+		searchPageSize: getDropdownValue(settings.searchPageSize, PAGE_SIZE_OPTIONS, PAGE_SIZE_OPTIONS.indexOf(DEFAULT_VIDEO_LIMIT)),
+		channelPageSize: getDropdownValue(settings.channelPageSize, PAGE_SIZE_OPTIONS, PAGE_SIZE_OPTIONS.indexOf(DEFAULT_CHANNEL_LIMIT)),
+		minDuration: getDropdownValue(settings.minDuration, MIN_DURATION_OPTIONS, 0),
+		hideShorts: settings.hideShorts === true || settings.hideShorts === "true",
+		homeFeed: getDropdownValue(settings.homeFeed, HOME_FEED_OPTIONS, 0),
+		homeCategory: getDropdownValue(settings.homeCategory, HOME_CATEGORY_OPTIONS, 0),
+		blockedChannels: parseBlockedChannels(settings.blockedChannels)
+	};
+}
+
+/**
+ * Builds the /api/videos options for the home feed chosen in the settings.
+ * Trending feeds get a start date relative to now.
+ *
+ * @returns {Object|null} Parsed search options, or null for the server's default order
+ */
+function getHomeFeedOptions() {
+	let feed = pluginSettings.homeFeed;
+	let category = pluginSettings.homeCategory;
+	if (!feed && !category) return null;
+
+	let options = {};
+	if (feed && feed.sort) {
+		options.sort = feed.sort;
+	}
+	if (feed && feed.window) {
+		options.startDate = Math.floor(Date.now() / 1000) - feed.window;
+	}
+	if (feed && feed.recentChannels) {
+		options.recentChannels = true;
+	}
+	if (category) {
+		options.category = category;
+	}
+	return options;
+}
+
+/**
+ * Parses the blocked channels setting. Entries are separated by commas or
+ * new lines and may be channel URLs, @channel@host handles or bare names.
+ * Channels on other hosts are kept with their own host; URLs that don't
+ * name a channel are logged and ignored.
+ *
+ * @param {string|undefined} value - Setting value
+ * @returns {Object[]} Entries as { host, name }, host being null for bare names
+ */
+function parseBlockedChannels(value) {
+	let result = [];
+	let entries = (value || "").split(/[,\n]+/);
+	for (let i = 0; i < entries.length; i++) {
+		let entry = entries[i].trim();
+		if (!entry) continue;
+		let ref = parseChannelReference(entry);
+		let remote = ref ? parseRemoteUsername(ref.name) : null;
+		let urlMatch = ref ? null : entry.match(BLOCKED_CHANNEL_URL_REGEX);
+		if (remote) {
+			result.push({ host: remote.host, name: remote.name.toLowerCase() });
+		} else if (ref) {
+			result.push({ host: ref.instance.host, name: ref.name.toLowerCase() });
+		} else if (urlMatch) {
+			result.push({ host: urlMatch[1].toLowerCase(), name: urlMatch[2].toLowerCase() });
+		} else if (/^https?:\/\//i.test(entry)) {
+			log("Ignoring blocked channel entry that is not a channel URL: " + entry);
+		} else {
+			result.push({ host: null, name: entry.replace(/^@/, "").toLowerCase() });
+		}
+	}
+	return result;
+}
+
+/**
+ * Checks whether a channel is blocked in the settings. Bare names match the
+ * channel username or display name on any instance.
+ *
+ * @param {Object|null} author - Author link with url and name
+ * @returns {boolean} True if the channel is blocked
+ */
+function isBlockedChannel(author) {
+	let blocked = pluginSettings.blockedChannels;
+	if (!author || blocked.length === 0) return false;
+
+	let match = (author.url || "").match(CHANNEL_URL_REGEX);
+	let host = match ? match[1].toLowerCase().replace(/^www\./, "") : null;
+	let username = match ? match[2].toLowerCase() : null;
+	// Channels from other hosts are shown as /c/name@host on the instance that serves them
+	let at = username ? username.indexOf("@") : -1;
+	if (at >= 0) {
+		host = username.substring(at + 1);
+		username = username.substring(0, at);
+	}
+	let displayName = (author.name || "").toLowerCase();
+	return blocked.some(function(entry) {
+		if (entry.host) {
+			return entry.host === host && entry.name === username;
+		}
+		return entry.name === username || entry.name === displayName;
+	});
+}
+
+/**
+ * Resolves a dropdown setting index to its option value.
+ *
+ * @param {string|number|undefined} index - Selected option index
+ * @param {Array} options - Option values
+ * @param {number} defaultIndex - Index used when the setting is missing or invalid
+ * @returns {any} Selected option value
+ */
+function getDropdownValue(index, options, defaultIndex) {
+	let parsed = parseInt(index, 10);
+	if (isNaN(parsed) || parsed < 0 || parsed >= options.length) {
+		parsed = defaultIndex;
+	}
+	return options[parsed];
+}
+
+/**
+ * Removes videos shorter than the configured minimum duration.
+ * Videos with an unknown duration are kept.
+ *
+ * @param {PlatformVideo[]} videos - Videos to filter
+ * @returns {PlatformVideo[]} Filtered videos
+ */
+function filterShortVideos(videos) {
+	let minDuration = pluginSettings.minDuration;
+	if (!minDuration) return videos;
+	return videos.filter(function(v) {
+		return !v.duration || v.duration >= minDuration;
+	});
+}
+
+/**
+ * Checks whether an ActivityPub Video is a Short: vertical and no longer
+ * than SHORTS_MAX_DURATION. The orientation comes from the width/height of
+ * the url Links (or the HLS playlist's files); without them a video is not a Short.
+ *
+ * @param {Object} apVideo - ActivityPub Video object
+ * @returns {boolean} True if the video is a Short
+ */
+function isShortVideo(apVideo) {
+	let duration = parseISODuration(apVideo.duration);
+	if (!duration || duration > SHORTS_MAX_DURATION) return false;
+
+	let links = asArray(apVideo.url).concat(getStreamingPlaylistFiles(apVideo));
+	for (let i = 0; i < links.length; i++) {
+		let link = links[i];
+		if (isVideoFileLink(link) && link.width && link.height) {
+			return link.height > link.width;
+		}
+	}
+	return false;
+}
+
+/**
+ * Checks whether an API video is a Short. Uses the API's isShort flag when
+ * present, otherwise its width/height and duration like isShortVideo.
+ *
+ * @param {Object} v - Video object from API
+ * @returns {boolean} True if the video is a Short
+ */
+function isShortAPIVideo(v) {
+	if (typeof v.isShort === "boolean") return v.isShort;
+	if (!v.duration || v.duration > SHORTS_MAX_DURATION) return false;
+	return !!(v.width && v.height && v.height > v.width);
+}
+
+/**
+ * Returns the outbox filter for a channel tab. Streams are live broadcasts
+ * (past, current or upcoming), Shorts are short vertical videos and Videos is everything else.
+ * The minimum duration setting applies to every tab but Shorts, which it would empty.
+ *
+ * @param {string|null} type - Feed type of the tab
+ * @returns {Function} Predicate on the raw Video object
+ */
+function getChannelTypeFilter(type) {
+	if (type === Type.Feed.Shorts) {
+		return isShortVideo;
+	}
+	if (type === Type.Feed.Streams) {
+		return function(apVideo) {
+			return !!apVideo.isLiveBroadcast && meetsMinDuration(apVideo);
+		};
+	}
+	if (type === Type.Feed.Videos) {
+		return function(apVideo) {
+			return !apVideo.isLiveBroadcast && !isShortVideo(apVideo) && meetsMinDuration(apVideo);
+		};
+	}
+	return meetsMinDuration;
+}
+
+/**
+ * Checks a raw Video object against the minimum duration setting, like
+ * filterShortVideos. Videos with an unknown duration are kept.
+ *
+ * @param {Object} apVideo - ActivityPub Video object
+ * @returns {boolean} True if the video is long enough
+ */
+function meetsMinDuration(apVideo) {
+	let duration = parseISODuration(apVideo.duration);
+	return !pluginSettings.minDuration || !duration || duration >= pluginSettings.minDuration;
+}
+
+/**
+ * Returns the channel tab filter for API video objects, matching getChannelTypeFilter.
+ *
+ * @param {string|null} type - Feed type of the tab
+ * @returns {Function|null} Predicate on the API video object, or null to keep everything
+ */
+function getAPIChannelTypeFilter(type) {
+	let isStream = function(v) {
+		return !!(v.isLiveBroadcast || v.isLive || v.startTime);
+	};
+	if (type === Type.Feed.Shorts) {
+		return isShortAPIVideo;
+	}
+	if (type === Type.Feed.Streams) {
+		return isStream;
+	}
+	if (type === Type.Feed.Videos) {
+		return function(v) {
+			return !isStream(v) && !isShortAPIVideo(v);
+		};
+	}
+	return null;
+}
+
+/**
+ * Parses the search order and filter selections into search options.
+ *
+ * @param {string|null} order - Selected sort, one of the SEARCH_SORTS keys
+ * @param {Object|null} filters - Selected filter values keyed by filter id
+ * @returns {Object} Search options with sort, startDate, minDuration, maxDuration, channelUrl and shorts
+ */
+function parseSearchOptions(order, filters) {
+	let options = {
+		sort: SEARCH_SORTS[order] ? order : null,
+		startDate: 0,
+		minDuration: 0,
+		maxDuration: 0,
+		channelUrl: null,
+		shorts: null
+	};
+	if (!filters) return options;
+
+	let dateValue = asArray(filters.date)[0];
+	for (let i = 0; i < SEARCH_DATE_FILTERS.length; i++) {
+		if (SEARCH_DATE_FILTERS[i].id === dateValue) {
+			options.startDate = Math.floor(Date.now() / 1000) - SEARCH_DATE_FILTERS[i].seconds;
+		}
+	}
+
+	let durationValue = asArray(filters.duration)[0];
+	for (let i = 0; i < SEARCH_DURATION_FILTERS.length; i++) {
+		if (SEARCH_DURATION_FILTERS[i].id === durationValue) {
+			options.minDuration = SEARCH_DURATION_FILTERS[i].min;
+			options.maxDuration = SEARCH_DURATION_FILTERS[i].max;
+		}
+	}
+
+	options.channelUrl = asArray(filters.channel)[0] || null;
+
+	let shortsValue = asArray(filters.shorts)[0];
+	for (let i = 0; i < SEARCH_SHORTS_FILTERS.length; i++) {
+		if (SEARCH_SHORTS_FILTERS[i].id === shortsValue) {
+			options.shorts = shortsValue;
+		}
+	}
+	return options;
+}
+
+/**
+ * Builds the /api/videos query parameters for the given search options.
+ *
+ * @param {Object} options - Parsed search options
+ * @returns {string} Query string fragment starting with "&", or an empty string
+ */
+function buildSearchQueryParams(options) {
+	let params = "";
+	if (options.sort) {
+		params += "&sort=" + encodeURIComponent(SEARCH_SORTS[options.sort]);
+	}
+	if (options.startDate) {
+		params += "&startDate=" + encodeURIComponent(new Date(options.startDate * 1000).toISOString());
+	}
+	if (options.minDuration) {
+		params += "&durationMin=" + options.minDuration;
+	}
+	if (options.maxDuration) {
+		params += "&durationMax=" + options.maxDuration;
+	}
+	if (options.category) {
+		params += "&categoryOneOf=" + encodeURIComponent(options.category);
+	}
+	asArray(options.tags).forEach(function(tag) {
+		params += "&tagsOneOf=" + encodeURIComponent(tag);
+	});
+	let channel = options.channelUrl ? parseChannelReference(options.channelUrl) : null;
+	if (channel) {
+		params += "&channel=" + encodeURIComponent(channel.name);
+	}
+	return params;
+}
+
+/**
+ * Checks whether a video matches the date, duration, category, channel and Shorts
+ * search filters. Videos whose category is unknown pass the category filter.
+ *
+ * @param {PlatformVideo} video - Video to check
+ * @param {Object} options - Parsed search options
+ * @returns {boolean} True if the video passes all filters
+ */
+function matchesSearchOptions(video, options) {
+	if (options.startDate && video.datetime && video.datetime < options.startDate) return false;
+	if (options.minDuration && video.duration < options.minDuration) return false;
+	if (options.maxDuration && video.duration >= options.maxDuration) return false;
+	if (options.category && video.category && video.category !== options.category) return false;
+	if (options.channelUrl && video.author && video.author.url !== options.channelUrl) return false;
+	if (options.shorts === "hide" && video.isShort) return false;
+	if (options.shorts === "only" && !video.isShort) return false;
+	return true;
+}
+
+/**
+ * Checks whether a list is already ordered according to a comparator.
+ *
+ * @param {Array} list - List to check
+ * @param {Function} comparator - Sort comparator
+ * @returns {boolean} True if the list is sorted
+ */
+function isSortedBy(list, comparator) {
+	for (let i = 1; i < list.length; i++) {
+		if (comparator(list[i - 1], list[i]) > 0) return false;
+	}
+	return true;
+}
+
+/**
+ * Returns the channel options for the search channel filter, loading the
+ * first page of channels from every enabled instance on first use.
+ *
+ * @returns {Object[]} Filter options with the channel URL as value
+ */
+function getSearchChannelFilterOptions() {
+	if (searchChannelFilterOptions) return searchChannelFilterOptions;
+
+	let options = [];
+	try {
+		options = getChannelPagerFromAPI(null, 1).results.map(function(c) {
+			return { id: c.url, name: c.name, value: c.url };
+		});
+	} catch (e) {
+		log("Error loading channel filter options: " + e);
+	}
+
+	// Only cache a successful load so a failed one is retried next time
+	if (options.length > 0) {
+		searchChannelFilterOptions = options;
+	}
+	return options;
+}
+
+/**
+ * Creates an instance descriptor from a URL or bare hostname. The CDN
+ * defaults to cdn.<host> and can be given after an "=", e.g.
+ * "mirror.example.com=media.example.net".
+ *
+ * @param {string} value - Instance URL (e.g. "https://pixeltube.org") or hostname, optionally with "=<cdn>"
+ * @returns {Object} Instance with baseUrl, cdnUrl and host properties
+ */
+function createInstance(value) {
+	let parts = value.split("=");
+	let trimmed = parts[0].trim().replace(/\/+$/, "");
+	let match = trimmed.match(/^(https?):\/\/(?:www\.)?([^\/?#]+)/i);
+	let scheme = match ? match[1].toLowerCase() : "https";
+	let host = (match ? match[2] : trimmed.replace(/^www\./i, "").split("/")[0]).toLowerCase();
+
+	let cdn = (parts[1] || "").trim().replace(/\/+$/, "");
+	let cdnUrl = scheme + "://cdn." + host;
+	if (cdn) {
+		cdnUrl = /^https?:\/\//i.test(cdn) ? cdn : scheme + "://" + cdn;
+	}
+	return {
+		baseUrl: scheme + "://" + host,
+		cdnUrl: cdnUrl,
+		host: host
+	};
+}
+
+/**
+ * Parses the comma/whitespace separated instance list from settings.
+ * Falls back to the default instance if the list is empty.
+ *
+ * @param {string|null} value - Raw setting value
+ * @returns {Object[]} Array of instance descriptors
+ */
+function parseInstanceList(value) {
+	let result = [];
+	let entries = (value || "").split(/[\s,]+/);
+	for (let i = 0; i < entries.length; i++) {
+		if (!entries[i]) continue;
+		let instance = createInstance(entries[i]);
+		let duplicate = result.some(function(existing) {
+			return existing.host === instance.host;
+		});
+		if (!duplicate) {
+			result.push(instance);
+		}
+	}
+	return result.length > 0 ? result : [createInstance(DEFAULT_INSTANCE_URL)];
+}
+
+/**
+ * Finds the configured instance for a hostname.
+ *
+ * @param {string} host - Hostname, optionally with a www. prefix
+ * @returns {Object|null} Instance descriptor or null if the host is not configured
+ */
+function getInstanceByHost(host) {
+	if (!host) return null;
+	let normalized = host.toLowerCase().replace(/^www\./, "");
+	for (let i = 0; i < instances.length; i++) {
+		if (instances[i].host === normalized) {
+			return instances[i];
+		}
+	}
+	return null;
+}
+
+/**
+ * Builds a lookup key for a PlatformID, used to dedupe videos across sources.
+ *
+ * @param {PlatformID} id - Platform identifier
+ * @returns {string} Key combining the platform and the value
+ */
+function platformIdKey(id) {
+	return id.platform + ":" + id.value;
+}
+
+/**
+ * Finds the configured instance a URL belongs to.
+ *
+ * @param {string} url - Video, channel or ActivityPub URL
+ * @returns {Object|null} Instance descriptor, or null if the host is not configured
+ */
+function getInstanceForUrl(url) {
+	let match = (url || "").match(/^https?:\/\/([^\/?#]+)/i);
+	return match ? getInstanceByHost(match[1]) : null;
+}
+
+/**
+ * Finds the configured instance a URL belongs to, failing for other hosts
+ * rather than asking the wrong server.
+ *
+ * @param {string} url - Video, channel or ActivityPub URL
+ * @returns {Object} Instance descriptor
+ * @throws {ScriptException} If the host is not a configured instance
+ */
+function requireInstanceForUrl(url) {
+	let instance = getInstanceForUrl(url);
+	if (!instance) {
+		throw new ScriptException("Not a configured PixelTube instance: " + url);
+	}
+	return instance;
+}
+
+/**
+ * Scopes an ID value to its instance so identical IDs on different
+ * instances don't collide. IDs on the default instance stay unscoped.
+ *
+ * @param {Object} instance - Instance descriptor
+ * @param {string} value - Video or channel ID
+ * @returns {string} Instance-scoped ID value
+ */
+function instanceScopedId(instance, value) {
+	if (instance.baseUrl === DEFAULT_INSTANCE_URL) return value;
+	return value + "@" + instance.host;
+}
+
+/**
+ * Ensures a value is an array.
+ * 
+ * According to the ActivityStreams 2.0 specification (Section 3.6), properties that take multiple values
+ * MAY be represented as a single element if only one value is present. This behavior is inherited from JSON-LD.
+ * This function standardizes access to fields like `icon`, `url`, and `attributedTo` to always return an array.
+ * 
+ * @see https://www.w3.org/TR/activitystreams-core/#jsonld
+ * @param {any} value - The value to ensure is an array
+ * @returns {any[]} The value as an array
+ */
+function asArray(value) {
+	if (value === null || value === undefined) return [];
+	if (Array.isArray(value)) return value;
+	return [value];
+}
+
+/**
+ * Collects the variants of an ActivityPub image property (icon, image).
+ * Entries may be bare URLs, Image objects with a url string, or Image
+ * objects whose url is a list of Links.
+ *
+ * @param {string|Object|Array|null} value - Image property value
+ * @returns {Object[]} Array of { url, width, height }, width/height 0 when unknown
+ */
+function collectImages(value) {
+	let images = [];
+	let entries = asArray(value);
+	for (let i = 0; i < entries.length; i++) {
+		let entry = entries[i];
+		if (typeof entry === "string") {
+			images.push({ url: entry, width: 0, height: 0 });
+			continue;
+		}
+		if (!entry) continue;
+
+		let links = typeof entry.url === "string" ? [entry] : asArray(entry.url);
+		for (let j = 0; j < links.length; j++) {
+			let link = links[j];
+			let url = typeof link === "string" ? link : (link && (typeof link.url === "string" ? link.url : link.href));
+			if (typeof url !== "string") continue;
+			images.push({
+				url: url,
+				width: (link && link.width) || entry.width || 0,
+				height: (link && link.height) || entry.height || 0
+			});
+		}
+	}
+	return images;
+}
+
+/**
+ * Builds a Thumbnails set from every variant of an image property, ranked
+ * by quality (height, or width when the height is unknown) from small to large.
+ *
+ * @param {string|Object|Array|null} value - Image property value
+ * @param {string} fallbackUrl - Thumbnail used when there are no variants
+ * @returns {Thumbnails} Thumbnails with one entry per distinct variant
+ */
+function buildThumbnails(value, fallbackUrl) {
+	let seen = {};
+	let images = collectImages(value).filter(function(image) {
+		if (seen[image.url]) return false;
+		seen[image.url] = true;
+		return true;
+	});
+	if (images.length === 0) {
+		return new Thumbnails([new Thumbnail(fallbackUrl, 0)]);
+	}
+
+	images.sort(function(a, b) {
+		return (a.height || a.width) - (b.height || b.width);
+	});
+	return new Thumbnails(images.map(function(image) {
+		return new Thumbnail(image.url, image.height || image.width);
+	}));
+}
+
+/**
+ * Picks the largest variant of an image property, for places that take a single URL.
+ *
+ * @param {string|Object|Array|null} value - Image property value
+ * @param {string|null} fallbackUrl - URL returned when there are no variants
+ * @returns {string|null} Image URL
+ */
+function pickImageUrl(value, fallbackUrl) {
+	let images = collectImages(value);
+	if (images.length === 0) return fallbackUrl;
+
+	let best = images[0];
+	for (let i = 1; i < images.length; i++) {
+		if ((images[i].height || images[i].width) > (best.height || best.width)) {
+			best = images[i];
+		}
+	}
+	return best.url;
+}
+
+/**
+ * Fetches several ActivityPub objects in a single batch request.
+ * Failed or unparseable responses are left out of the result.
+ *
+ * @param {string[]} urls - Object URLs to fetch (duplicates are fetched once)
+ * @returns {Object} Map of URL to parsed object
+ */
+function batchFetchAPObjects(urls) {
+	let objects = {};
+	let unique = [];
+	for (let i = 0; i < urls.length; i++) {
+		if (urls[i] && unique.indexOf(urls[i]) < 0) {
+			unique.push(urls[i]);
+		}
+	}
+	if (unique.length === 0) return objects;
+
+	let responses = requestBatchGET(unique.map(function(url) {
+		return { url: url, headers: ACTIVITYPUB_HEADERS };
+	}));
+
+	for (let i = 0; i < unique.length; i++) {
+		let response = responses[i];
+		if (!response || !response.isOk) continue;
+		try {
+			objects[unique[i]] = JSON.parse(response.body);
+		} catch (e) {
+			log("Error parsing object " + unique[i] + ": " + e);
+		}
+	}
+	return objects;
+}
+
+/**
+ * Fetches an ActivityPub actor, using the cache when the entry is still fresh.
+ *
+ * @param {string} actorUrl - Actor URL
+ * @returns {Object|null} Actor object, or null if it could not be fetched
+ */
+function fetchAPActor(actorUrl) {
+	let actor = cacheGet("actor:" + actorUrl);
+	if (actor) return actor;
+
+	try {
+		actor = trimActor(fetchJSON(actorUrl, ACTIVITYPUB_HEADERS, "channel"));
+		cacheSet("actor:" + actorUrl, actor, ACTOR_CACHE_TTL);
+		return actor;
+	} catch (e) {
+		log("Error fetching actor: " + e);
+		return null;
+	}
+}
+
+/**
+ * Reduces an actor document to the fields the plugin uses, for caching.
+ *
+ * @param {Object} actor - ActivityPub actor object
+ * @returns {Object} Trimmed actor object
+ */
+function trimActor(actor) {
+	let trimmed = {};
+	for (let i = 0; i < ACTOR_CACHE_FIELDS.length; i++) {
+		let field = ACTOR_CACHE_FIELDS[i];
+		if (actor[field] !== undefined) {
+			trimmed[field] = actor[field];
+		}
+	}
+	return trimmed;
+}
+
+/**
+ * Returns a cached value if it hasn't expired.
+ *
+ * @param {string} key - Cache key
+ * @returns {any|null} Cached value, or null if missing or expired
+ */
+function cacheGet(key) {
+	let entry = cacheEntries[key];
+	if (!entry) return null;
+	if (entry.expires <= Math.floor(Date.now() / 1000)) {
+		delete cacheEntries[key];
+		return null;
+	}
+	return entry.value;
+}
+
+/**
+ * Stores a value in the cache. When the cache is full, expired entries are
+ * dropped first and then the oldest entries are evicted.
+ *
+ * @param {string} key - Cache key
+ * @param {any} value - Value to cache (must be JSON-serializable)
+ * @param {number} ttl - Lifetime in seconds
+ */
+function cacheSet(key, value, ttl) {
+	let now = Math.floor(Date.now() / 1000);
+	cacheEntries[key] = { value: value, stored: now, expires: now + ttl };
+
+	if (Object.keys(cacheEntries).length > MAX_CACHE_ENTRIES) {
+		pruneCache();
+	}
+}
+
+/**
+ * Removes expired cache entries and evicts the oldest ones beyond MAX_CACHE_ENTRIES.
+ */
+function pruneCache() {
+	let now = Math.floor(Date.now() / 1000);
+	let keys = Object.keys(cacheEntries).filter(function(key) {
+		let entry = cacheEntries[key];
+		if (!entry || typeof entry.expires !== "number" || entry.expires <= now) {
+			delete cacheEntries[key];
+			return false;
+		}
+		return true;
+	});
+
+	if (keys.length > MAX_CACHE_ENTRIES) {
+		keys.sort(function(a, b) {
+			return cacheEntries[a].stored - cacheEntries[b].stored;
+		});
+		for (let i = 0; i < keys.length - MAX_CACHE_ENTRIES; i++) {
+			delete cacheEntries[keys[i]];
+		}
+	}
+}
+
+/**
+ * Reduces a video to the plain fields needed to show it again, for saving
+ * with the subscription state. Only the largest thumbnail is kept.
+ *
+ * @param {PlatformVideo} video - Video to store
+ * @returns {Object} Plain object accepted by restoreVideo
+ */
+function storeVideo(video) {
+	let thumbnails = video.thumbnails && video.thumbnails.sources ? video.thumbnails.sources : [];
+	let thumbnail = thumbnails[thumbnails.length - 1] || null;
+	return {
+		id: video.id.value,
+		name: video.name,
+		thumbnail: thumbnail ? { url: thumbnail.url, quality: thumbnail.quality } : null,
+		author: {
+			id: video.author.id.value,
+			name: video.author.name,
+			url: video.author.url,
+			thumbnail: video.author.thumbnail
+		},
+		datetime: video.datetime,
+		duration: video.duration,
+		viewCount: video.viewCount,
+		url: video.url,
+		isLive: video.isLive,
+		isShort: video.isShort
+	};
+}
+
+/**
+ * Rebuilds a video saved with storeVideo.
+ *
+ * @param {Object} data - Stored video
+ * @returns {PlatformVideo} Platform video object
+ */
+function restoreVideo(data) {
+	return new PlatformVideo({
+		id: new PlatformID(PLATFORM, data.id, config.id),
+		name: data.name,
+		thumbnails: new Thumbnails(data.thumbnail ? [new Thumbnail(data.thumbnail.url, data.thumbnail.quality)] : []),
+		author: new PlatformAuthorLink(
+			new PlatformID(PLATFORM, data.author.id, config.id),
+			data.author.name,
+			data.author.url,
+			data.author.thumbnail
+		),
+		datetime: data.datetime,
+		duration: data.duration,
+		viewCount: data.viewCount,
+		url: data.url,
+		isLive: data.isLive,
+		isShort: data.isShort
+	});
+}
+
+/**
+ * Records the result of a subscription check. When more than MAX_FEED_STATES
+ * channels are tracked, the least recently checked ones are forgotten.
+ *
+ * @param {string} outboxUrl - Outbox URL of the channel
+ * @param {Object} state - Polling state: etag, lastModified, the newest video id and the kept videos (see storeVideo)
+ */
+function updateFeedState(outboxUrl, state) {
+	feedStates[outboxUrl] = {
+		etag: state.etag || null,
+		lastModified: state.lastModified || null,
+		newestId: state.newestId || null,
+		videos: state.videos || null,
+		checked: Math.floor(Date.now() / 1000)
+	};
+
+	let keys = Object.keys(feedStates);
+	if (keys.length > MAX_FEED_STATES) {
+		keys.sort(function(a, b) {
+			return (feedStates[a].checked || 0) - (feedStates[b].checked || 0);
+		});
+		for (let i = 0; i < keys.length - MAX_FEED_STATES; i++) {
+			delete feedStates[keys[i]];
+		}
+	}
+}
+
+/**
+ * Builds the metadata footer appended to a video description: the original
+ * source link, category, language, licence, sensitive-content flag and hashtags,
+ * each hashtag linking to a tag search on the instance.
+ *
+ * @param {Object} instance - Instance the video lives on
+ * @param {Object} apVideo - ActivityPub Video object
+ * @returns {string} HTML footer, or an empty string if there is no metadata
+ */
+function buildMetadataDescription(instance, apVideo) {
+	let lines = [];
+
+	let sourceUrl = extractOriginalSourceUrl(apVideo);
+	if (sourceUrl) {
+		lines.push("Original video: <a href=\"" + escapeHtml(sourceUrl) + "\">" + escapeHtml(sourceUrl) + "</a>");
+	}
+
+	let facts = [];
+	let fields = [["Category", apVideo.category], ["Language", apVideo.language], ["Licence", apVideo.licence]];
+	for (let i = 0; i < fields.length; i++) {
+		let name = fields[i][1] && (fields[i][1].name || fields[i][1].identifier);
+		if (name) {
+			facts.push(fields[i][0] + ": " + escapeHtml(String(name)));
+		}
+	}
+	if (facts.length > 0) {
+		lines.push(facts.join(" · "));
+	}
+
+	if (apVideo.sensitive) {
+		lines.push("Contains sensitive content");
+	}
+
+	let hashtags = extractHashtags(apVideo).map(function(tag) {
+		let searchUrl = instance.baseUrl + "/search?tagsOneOf=" + encodeURIComponent(tag);
+		return "<a href=\"" + escapeHtml(searchUrl) + "\">#" + escapeHtml(tag) + "</a>";
+	});
+	if (hashtags.length > 0) {
+		lines.push(hashtags.join(" "));
+	}
+
+	if (lines.length === 0) return "";
+	return "<p>" + lines.join("<br>") + "</p>";
+}
+
+/**
+ * Reads the category id of a video.
+ *
+ * @param {Object} apVideo - ActivityPub Video object
+ * @returns {number|null} PeerTube category id, or null if the video has none
+ */
+function extractCategoryId(apVideo) {
+	let id = apVideo.category ? parseInt(apVideo.category.identifier, 10) : NaN;
+	return isNaN(id) ? null : id;
+}
+
+/**
+ * Extracts the hashtag names from a video's ActivityPub tag array.
+ *
+ * @param {Object} apVideo - ActivityPub Video object
+ * @returns {string[]} Unique tag names without the leading "#"
+ */
+function extractHashtags(apVideo) {
+	let tags = [];
+	let items = asArray(apVideo.tag);
+	for (let i = 0; i < items.length; i++) {
+		let item = items[i];
+		if (!item || item.type !== "Hashtag" || !item.name) continue;
+		let name = String(item.name).replace(/^#/, "").trim();
+		if (name && tags.indexOf(name) < 0) {
+			tags.push(name);
+		}
+	}
+	return tags;
+}
+
+/**
+ * Finds the original YouTube URL of a mirrored video. Only trusts the url and
+ * attachment Links and a "Source:" or "Original:" line at the top of the
+ * description; other links in the description may point at unrelated videos.
+ *
+ * @param {Object} apVideo - ActivityPub Video object
+ * @returns {string|null} Canonical YouTube watch URL, or null if unknown
+ */
+function extractOriginalSourceUrl(apVideo) {
+	let linked = extractLinkedSourceUrl(apVideo);
+	if (linked) return linked;
+
+	let firstLine = htmlToText(apVideo.content || "").split("\n")[0].trim();
+	let marker = firstLine.match(SOURCE_MARKER_LINE_REGEX);
+	let youtubeId = marker ? getYouTubeVideoId(marker[1]) : null;
+	return youtubeId ? "https://www.youtube.com/watch?v=" + youtubeId : null;
+}
+
+/**
+ * Finds the original YouTube URL in a video's url and attachment Links only.
+ *
+ * @param {Object} apVideo - ActivityPub Video object
+ * @returns {string|null} Canonical YouTube watch URL, or null if none is linked
+ */
+function extractLinkedSourceUrl(apVideo) {
+	let links = asArray(apVideo.url).concat(asArray(apVideo.attachment));
+	for (let i = 0; i < links.length; i++) {
+		let href = typeof links[i] === "string" ? links[i] : (links[i] && (links[i].href || links[i].url));
+		let match = typeof href === "string" ? href.match(YOUTUBE_VIDEO_URL_REGEX) : null;
+		if (match) {
+			return "https://www.youtube.com/watch?v=" + match[1];
+		}
+	}
+	return null;
+}
+
+/**
+ * Escapes text for use in HTML content and attribute values.
+ *
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+	return String(text)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&#39;");
+}
+
+/**
+ * Converts simple HTML (as found in ActivityPub Note content) to plain text.
+ *
+ * @param {string} html - HTML string
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+	if (!html) return "";
+	return html
+		.replace(/<br\s*\/?>/gi, "\n")
+		.replace(/<\/p>\s*<p[^>]*>/gi, "\n\n")
+		.replace(/<[^>]+>/g, "")
+		.replace(/&lt;/g, "<")
+		.replace(/&gt;/g, ">")
+		.replace(/&quot;/g, "\"")
+		.replace(/&#39;/g, "'")
+		.replace(/&nbsp;/g, " ")
+		.replace(/&amp;/g, "&")
+		.trim();
+}
+
+/**
+ * Extracts the video ID from a PixelTube video URL.
+ *
+ * @param {string} url - Video URL
+ * @returns {string|null} Video ID or null if not found
+ */
+function extractVideoId(url) {
+	let match = url.match(VIDEO_URL_REGEX);
+	return match && getInstanceByHost(match[1]) ? match[2] : null;
+}
+
+/**
+ * Parses any supported channel reference without touching the network.
+ * Accepts /c/ and /video-channels/ URLs on an enabled instance, including
+ * /c/name@host URLs of federated channels, and @channel@host handles on any
+ * host. Account URLs (/a/, /accounts/, including an account's
+ * /video-playlists page) are accepted too and flagged, as they name a person
+ * whose channel is looked up by resolveChannel.
+ *
+ * @param {string} value - Channel URL or handle
+ * @returns {Object|null} { instance, name, canonical, account } or null if not a channel reference;
+ *   canonical is true when name is known to be the actor username, account when it names an account
+ */
+function parseChannelReference(value) {
+	let trimmed = (value || "").trim();
+	let match = trimmed.match(CHANNEL_URL_REGEX);
+	let canonical = !!match;
+	let account = false;
+	if (!match) {
+		match = trimmed.match(ACCOUNT_URL_REGEX);
+		account = !!match;
+	}
+	if (!match) {
+		match = trimmed.match(CHANNEL_ALIAS_URL_REGEX) || trimmed.match(CHANNEL_HANDLE_REGEX);
+	}
+	if (!match) return null;
+
+	// Handles put the name first and the host second
+	let isHandle = !/^https?:/i.test(trimmed);
+	let host = isHandle ? match[2] : match[1];
+	let name = isHandle ? match[1] : match[2];
+	let instance = getInstanceByHost(host);
+	if (!instance) {
+		// Handles of federated channels are browsed through the first instance as name@host
+		if (!isHandle) return null;
+		return { instance: instances[0], name: name + "@" + host.toLowerCase(), canonical: true };
+	}
+
+	// A /c/name@host URL can name a channel of another configured instance
+	let qualified = name.match(/^([^@]+)@(.+)$/);
+	if (qualified && getInstanceByHost(qualified[2])) {
+		return { instance: getInstanceByHost(qualified[2]), name: qualified[1], canonical: canonical, account: false };
+	}
+	return { instance: instance, name: name, canonical: canonical, account: account };
+}
+
+/**
+ * Resolves a channel URL or handle to the instance and actor username.
+ * Non-canonical references are looked up with WebFinger, falling back to
+ * the name as given when the instance doesn't answer. Accounts are mapped
+ * to the channel they publish to (see resolveAccountChannel). YouTube
+ * channel URLs are mapped to the mirrored channel first. Federated channels
+ * keep a "name@host" username and are resolved on their own host when
+ * fetched (see getChannelActorUrl).
+ *
+ * @param {string} value - Channel URL or handle
+ * @returns {Object|null} { instance, username } or null if not a channel reference
+ * @throws {UnavailableException} If a YouTube channel has not been archived
+ */
+function resolveChannel(value) {
+	let youtubeMatch = (value || "").match(YOUTUBE_CHANNEL_URL_REGEX);
+	if (youtubeMatch) {
+		value = resolveYouTubeChannelUrl(youtubeMatch[1] || null, youtubeMatch[2] || null);
+	}
+
+	let ref = parseChannelReference(value);
+	if (!ref) return null;
+	if (ref.canonical) {
+		return { instance: ref.instance, username: ref.name };
+	}
+
+	let actorUrl = webfingerActorUrl(ref.instance.host, ref.name);
+	// A handle can also name an account, which is shown as its channel
+	if (ref.account || (actorUrl && ACCOUNT_PATH_REGEX.test(actorUrl))) {
+		let accountUrl = actorUrl || ref.instance.baseUrl + "/accounts/" + ref.name;
+		return { instance: ref.instance, username: resolveAccountChannel(ref.instance, accountUrl, ref.name) };
+	}
+	let match = actorUrl ? actorUrl.match(ACTOR_PATH_REGEX) : null;
+	return { instance: ref.instance, username: match ? match[1] : ref.name };
+}
+
+/**
+ * Finds the channel an account publishes to, read from the attributedTo of
+ * the newest video in the account's outbox. Accounts without videos, or
+ * whose outbox can't be read, fall back to the account name, which is also
+ * the channel name on this bridge.
+ *
+ * @param {Object} instance - Instance the account lives on
+ * @param {string} accountUrl - Account actor URL
+ * @param {string} name - Account name
+ * @returns {string} Channel username, "name@host" for channels on another host
+ */
+function resolveAccountChannel(instance, accountUrl, name) {
+	let cached = cacheGet("accountChannel:" + accountUrl);
+	if (cached) return cached;
+
+	let username = name;
+	try {
+		let actor = fetchAPActor(accountUrl);
+		let outboxUrl = actor && typeof actor.outbox === "string" ? actor.outbox : accountUrl + "/outbox";
+		let response = ensureOk(requestGET(outboxUrl, ACTIVITYPUB_HEADERS, false), "channel");
+		let items = asArray(JSON.parse(readOutboxPage(response.body)).orderedItems);
+		for (let i = 0; i < items.length; i++) {
+			let object = items[i] && items[i].object;
+			if (!object || (typeof object === "object" && object.type !== "Video")) continue;
+			if (typeof object === "string") {
+				object = fetchJSON(object, ACTIVITYPUB_HEADERS, "video");
+			}
+
+			let channel = extractChannelFromAttributedTo(object.attributedTo);
+			if (!channel.username || ACCOUNT_PATH_REGEX.test(channel.actorUrl)) break;
+			let actorHost = channel.actorUrl.match(/^https?:\/\/([^\/?#]+)/i);
+			username = channel.username;
+			if (actorHost && actorHost[1].toLowerCase() !== instance.host) {
+				username += "@" + actorHost[1].toLowerCase();
+			}
+			break;
+		}
+	} catch (e) {
+		if (e instanceof RateLimitedException) throw e;
+		log("Could not find the channel of account " + accountUrl + ": " + e);
+	}
+
+	cacheSet("accountChannel:" + accountUrl, username, ACTOR_CACHE_TTL);
+	return username;
+}
+
+/**
+ * Splits the username of a remote channel, "name@host" on a host that is not
+ * a configured instance.
+ *
+ * @param {string} username - Channel username
+ * @returns {Object|null} { name, host }, or null for channels on a configured instance
+ */
+function parseRemoteUsername(username) {
+	let match = (username || "").match(/^([^@]+)@([^@]+)$/);
+	if (!match || getInstanceByHost(match[2])) return null;
+	return { name: match[1], host: match[2].toLowerCase() };
+}
+
+/**
+ * Returns the ActivityPub actor URL of a channel. Channels on a configured
+ * instance live under /actors/<name>; remote channels are looked up with
+ * WebFinger on their own host.
+ *
+ * @param {Object} instance - Instance the channel is browsed through
+ * @param {string} username - Channel username, "name@host" for remote channels
+ * @returns {string} Actor URL
+ * @throws {UnavailableException} If a remote channel cannot be found
+ */
+function getChannelActorUrl(instance, username) {
+	let remote = parseRemoteUsername(username);
+	if (!remote) return instance.baseUrl + "/actors/" + username;
+
+	let actorUrl = webfingerActorUrl(remote.host, remote.name);
+	if (!actorUrl) {
+		throw new UnavailableException("The channel " + username + " could not be found");
+	}
+	return actorUrl;
+}
+
+/**
+ * Returns the URL to request a channel's outbox from. Remote channels name
+ * their outbox in the actor document.
+ *
+ * @param {Object} instance - Instance the channel is browsed through
+ * @param {string} username - Channel username, "name@host" for remote channels
+ * @returns {string} Outbox (first page) URL
+ * @throws {UnavailableException} If a remote channel cannot be found
+ */
+function getChannelOutboxUrl(instance, username) {
+	if (!parseRemoteUsername(username)) {
+		return instance.baseUrl + "/actors/" + username + "/outbox?page=true";
+	}
+	let actorUrl = getChannelActorUrl(instance, username);
+	let actor = fetchAPActor(actorUrl);
+	return actor && typeof actor.outbox === "string" ? actor.outbox : actorUrl + "/outbox";
+}
+
+/**
+ * Looks up the ActivityPub actor URL for an account via WebFinger on the
+ * account's own host, which need not be a configured instance.
+ *
+ * @param {string} host - Host the account lives on
+ * @param {string} name - Account or channel name
+ * @returns {string|null} Actor URL, or null if it could not be resolved
+ */
+function webfingerActorUrl(host, name) {
+	let resource = "acct:" + name + "@" + host;
+	let cached = cacheGet("webfinger:" + resource);
+	if (cached) return cached;
+
+	let instance = getInstanceByHost(host);
+	let baseUrl = instance ? instance.baseUrl : "https://" + host;
+	try {
+		let data = fetchJSON(baseUrl + "/.well-known/webfinger?resource=" + encodeURIComponent(resource),
+			{ "Accept": "application/jrd+json, application/json" }, "channel");
+		let self = asArray(data.links).filter(function(link) {
+			return link && link.rel === "self" && link.href && (!link.type || /activity\+json|ld\+json/.test(link.type));
+		})[0];
+		if (!self) return null;
+
+		cacheSet("webfinger:" + resource, self.href, WEBFINGER_CACHE_TTL);
+		return self.href;
+	} catch (e) {
+		log("WebFinger lookup failed for " + resource + ": " + e);
+		return null;
+	}
+}
+
+/**
+ * Maps an original YouTube video URL to its PixelTube mirror.
+ * Other URLs are returned unchanged. Videos without a mirror are remembered
+ * for YOUTUBE_MISS_CACHE_TTL, until the archive may have caught up.
+ *
+ * @param {string} url - Video URL
+ * @returns {string} PixelTube video URL
+ * @throws {UnavailableException} If the YouTube video has not been archived
+ */
+function toPixelTubeVideoUrl(url) {
+	let match = (url || "").match(YOUTUBE_VIDEO_URL_REGEX);
+	if (!match) return url;
+
+	let youtubeId = match[1];
+	let cached = cacheGet("youtube:" + youtubeId);
+	if (cached === false) {
+		throw new UnavailableException(YOUTUBE_VIDEO_MISSING_MESSAGE);
+	}
+	if (cached) return cached;
+
+	// Search for the YouTube ID and confirm each hit really mirrors that video
+	let candidates = [];
+	let responses = fetchFromAllInstances(API_VIDEOS + "?page=1&limit=" + MAX_YOUTUBE_CANDIDATES + "&search=" + encodeURIComponent(youtubeId));
+	for (let i = 0; i < responses.length; i++) {
+		let videos = responses[i].data.videos || [];
+		for (let j = 0; j < videos.length; j++) {
+			let mirrorUrl = responses[i].instance.baseUrl + "/w/" + videos[j].id;
+			if (getYouTubeVideoId(videos[j].youtubeId || videos[j].originalUrl || videos[j].sourceUrl) === youtubeId) {
+				return rememberYouTubeMapping(youtubeId, mirrorUrl);
+			}
+			candidates.push(mirrorUrl);
+		}
+	}
+
+	// The API doesn't say where a video came from, so check the ActivityPub objects
+	let objects = batchFetchAPObjects(candidates);
+	for (let i = 0; i < candidates.length; i++) {
+		let sourceUrl = objects[candidates[i]] ? extractLinkedSourceUrl(objects[candidates[i]]) : null;
+		if (getYouTubeVideoId(sourceUrl) === youtubeId) {
+			return rememberYouTubeMapping(youtubeId, candidates[i]);
+		}
+	}
+
+	cacheSet("youtube:" + youtubeId, false, YOUTUBE_MISS_CACHE_TTL);
+	throw new UnavailableException(YOUTUBE_VIDEO_MISSING_MESSAGE);
+}
+
+/**
+ * Maps an original YouTube channel to the URL of its PixelTube mirror.
+ * Channels without a mirror are remembered like videos (see toPixelTubeVideoUrl).
+ *
+ * @param {string|null} handle - YouTube @handle without the "@"
+ * @param {string|null} channelId - YouTube UC… channel ID
+ * @returns {string} PixelTube channel URL
+ * @throws {UnavailableException} If the YouTube channel has not been archived
+ */
+function resolveYouTubeChannelUrl(handle, channelId) {
+	let key = getYouTubeChannelKey(handle, channelId);
+	let cached = cacheGet("youtube:" + key);
+	if (cached === false) {
+		throw new UnavailableException(YOUTUBE_CHANNEL_MISSING_MESSAGE);
+	}
+	if (cached) return cached;
+
+	// Mirrored channels usually keep the YouTube handle as their username
+	let candidates = [];
+	let responses = fetchFromAllInstances(API_CHANNELS + "?page=1&limit=" + MAX_YOUTUBE_CANDIDATES + "&search=" + encodeURIComponent(handle || channelId));
+	for (let i = 0; i < responses.length; i++) {
+		let channels = responses[i].data.channels || [];
+		for (let j = 0; j < channels.length; j++) {
+			let c = channels[j];
+			let channelUrl = responses[i].instance.baseUrl + "/c/" + c.username;
+			let youtubeHandle = String(c.youtubeHandle || "").replace(/^@/, "").toLowerCase();
+			if ((channelId && c.youtubeChannelId === channelId) ||
+				(handle && (youtubeHandle === handle.toLowerCase() || String(c.username).toLowerCase() === handle.toLowerCase()))) {
+				return rememberYouTubeMapping(key, channelUrl);
+			}
+			candidates.push({ channelUrl: channelUrl, actorUrl: responses[i].instance.baseUrl + "/actors/" + c.username });
 		}
+	}
 
-		return {
-			videos: videos,
-			hasMore: !!data.next,
-			nextPageUrl: data.next || null
-		};
-	} catch (e) {
-		log("Error parsing outbox response: " + e);
-		return { videos: [], hasMore: false, nextPageUrl: null };
+	// Otherwise look for a link back to the YouTube channel in the actor profile
+	let needle = channelId ? ("youtube.com/channel/" + channelId).toLowerCase() : ("youtube.com/@" + handle).toLowerCase();
+	let actors = batchFetchAPObjects(candidates.map(function(c) {
+		return c.actorUrl;
+	}));
+	for (let i = 0; i < candidates.length; i++) {
+		let actor = actors[candidates[i].actorUrl];
+		if (actor && JSON.stringify([actor.summary, actor.support, actor.url, actor.attachment]).toLowerCase().indexOf(needle) >= 0) {
+			return rememberYouTubeMapping(key, candidates[i].channelUrl);
+		}
 	}
+
+	cacheSet("youtube:" + key, false, YOUTUBE_MISS_CACHE_TTL);
+	throw new UnavailableException(YOUTUBE_CHANNEL_MISSING_MESSAGE);
 }
 
 /**
- * Creates a video pager for channel content using ActivityPub outbox.
+ * Returns the cache key of a YouTube channel: its channel ID, or its lower-cased @handle.
  *
- * @param {string} username - Channel username
- * @param {string|null} pageUrl - URL for next page, or null for first page
- * @param {string|null} channelAvatar - URL of the channel avatar
- * @returns {APChannelVideoPager} Video pager with channel videos
+ * @param {string|null} handle - YouTube @handle without the "@"
+ * @param {string|null} channelId - YouTube UC… channel ID
+ * @returns {string} Cache key, without the "youtube:" prefix
  */
-function getChannelVideosPagerFromAP(username, pageUrl, channelAvatar, channelName) {
-	let url = pageUrl || (BASE_URL + "/actors/" + username + "/outbox?page=true");
-
-	try {
-		let response = http.GET(url, ACTIVITYPUB_HEADERS, false);
-		if (!response.isOk) {
-			log("Failed to fetch channel outbox: " + response.code);
-			return new APChannelVideoPager([], false, { username: username, nextPageUrl: null, avatar: channelAvatar, name: channelName });
-		}
-
-		let parsed = parseOutboxResponse(response.body, username, channelAvatar, channelName);
-		
-		return new APChannelVideoPager(parsed.videos, parsed.hasMore, {
-			username: username,
-			nextPageUrl: parsed.nextPageUrl,
-			avatar: channelAvatar,
-			name: channelName
-		});
-	} catch (e) {
-		log("Error fetching channel videos: " + e);
-		return new APChannelVideoPager([], false, { username: username, nextPageUrl: null, avatar: channelAvatar, name: channelName });
-	}
+function getYouTubeChannelKey(handle, channelId) {
+	return channelId || ("@" + handle.toLowerCase());
 }
 
-// =============================================================================
-// UTILITY FUNCTIONS
-// =============================================================================
+/**
+ * Reads a YouTube video ID from a bare ID or a YouTube video URL.
+ *
+ * @param {string|null} value - Video ID or URL
+ * @returns {string|null} 11-character video ID, or null if there is none
+ */
+function getYouTubeVideoId(value) {
+	if (typeof value !== "string") return null;
+	if (/^[a-zA-Z0-9_-]{11}$/.test(value)) return value;
+	let match = value.match(YOUTUBE_VIDEO_URL_REGEX);
+	return match ? match[1] : null;
+}
 
 /**
- * Ensures a value is an array.
- * 
- * According to the ActivityStreams 2.0 specification (Section 3.6), properties that take multiple values
- * MAY be represented as a single element if only one value is present. This behavior is inherited from JSON-LD.
- * This function standardizes access to fields like `icon`, `url`, and `attributedTo` to always return an array.
- * 
- * @see https://www.w3.org/TR/activitystreams-core/#jsonld
- * @param {any} value - The value to ensure is an array
- * @returns {any[]} The value as an array
+ * Caches a YouTube-to-PixelTube mapping.
+ *
+ * @param {string} key - YouTube video ID, channel ID or lower-cased "@handle"
+ * @param {string} url - PixelTube URL of the mirror
+ * @returns {string} The PixelTube URL
  */
-function asArray(value) {
-	if (value === null || value === undefined) return [];
-	if (Array.isArray(value)) return value;
-	return [value];
+function rememberYouTubeMapping(key, url) {
+	cacheSet("youtube:" + key, url, YOUTUBE_MAPPING_CACHE_TTL);
+	return url;
 }
 
 /**
- * Extracts the video ID from a PixelTube video URL.
+ * Extracts the playlist ID from a PixelTube playlist URL.
  *
- * @param {string} url - Video URL
- * @returns {string|null} Video ID or null if not found
+ * @param {string} url - Playlist URL
+ * @returns {string|null} Playlist ID or null if not found
  */
-function extractVideoId(url) {
-	let match = url.match(VIDEO_URL_REGEX);
-	return match ? match[2] : null;
+function extractPlaylistId(url) {
+	let match = url.match(PLAYLIST_URL_REGEX);
+	return match && getInstanceByHost(match[1]) ? match[2] : null;
 }
 
 /**
- * Extracts the channel username from a PixelTube channel URL.
+ * Extracts the tags from a tag search URL, as linked from the hashtags in
+ * video descriptions, e.g. https://pixeltube.org/search?tagsOneOf=music.
  *
- * @param {string} url - Channel URL
- * @returns {string|null} Channel username or null if not found
+ * @param {string} url - Search URL
+ * @returns {string[]|null} Tags, or null if this is not a tag search URL
  */
-function extractChannelUsername(url) {
-	let match = url.match(CHANNEL_URL_REGEX);
-	return match ? match[2] : null;
+function extractSearchTags(url) {
+	let match = (url || "").trim().match(TAG_SEARCH_URL_REGEX);
+	if (!match || !getInstanceByHost(match[1])) return null;
+
+	let tags = [];
+	match[2].split("&").forEach(function(param) {
+		let pair = param.split("=");
+		if (pair[0] === "tagsOneOf" && pair[1]) {
+			try {
+				tags.push(decodeURIComponent(pair[1].replace(/\+/g, " ")));
+			} catch (e) {
+				log("Invalid tag in search URL: " + pair[1]);
+			}
+		}
+	});
+	return tags.length > 0 ? tags : null;
 }
 
 /**
  * Extracts channel info from ActivityPub attributedTo array.
- * Skips the mirror service actor and returns the actual channel.
+ * Skips the mirror service actor and returns the actual channel, preferring a
+ * Group (or non-account URL) over the uploading account. The username is read
+ * from the actor URL path, or from an embedded actor's preferredUsername.
  *
  * @param {Array} attributedTo - ActivityPub attributedTo array
  * @returns {Object} Object with username and actorUrl properties
  */
 function extractChannelFromAttributedTo(attributedToVal) {
 	let result = { username: null, actorUrl: null };
-	let attributedTo = asArray(attributedToVal);
+	let attributedTo = asArray(attributedToVal).filter(function(actor) {
+		let actorUrl = actor && (typeof actor === "string" ? actor : actor.id);
+		return actorUrl && !actorUrl.includes("/mirrorservice");
+	});
 	if (attributedTo.length === 0) return result;
 
-	for (let i = 0; i < attributedTo.length; i++) {
-		let actor = attributedTo[i];
-		if (!actor) continue;
-		let actorUrl = typeof actor === "string" ? actor : actor.id;
-		if (actorUrl && !actorUrl.includes("/mirrorservice")) {
-			result.actorUrl = actorUrl;
-			let match = actorUrl.match(/\/actors\/([^\/]+)\/?$/);
-			if (match) {
-				result.username = match[1];
-			}
-			break;
-		}
+	let channel = attributedTo.filter(function(actor) {
+		return typeof actor === "string" ? !ACCOUNT_PATH_REGEX.test(actor) : actor.type === "Group";
+	})[0] || attributedTo[0];
+	let actorUrl = typeof channel === "string" ? channel : channel.id;
+
+	result.actorUrl = actorUrl;
+	let match = actorUrl.match(ACTOR_PATH_REGEX);
+	if (match) {
+		result.username = match[1];
+	} else if (typeof channel === "object" && channel.preferredUsername) {
+		result.username = channel.preferredUsername;
 	}
 	return result;
 }
@@ -842,39 +4000,46 @@ function extractChannelFromAttributedTo(attributedToVal) {
 /**
  * Maps an API video response object to a PlatformVideo.
  *
+ * @param {Object} instance - Instance the video was fetched from
  * @param {Object} v - Video object from API
- * @returns {PlatformVideo} Platform video object
+ * @returns {PlatformVideo} Platform video object, with the API category id as category
  */
-function mapAPIVideoToResult(v) {
-	return new PlatformVideo({
-		id: new PlatformID(PLATFORM, v.id, config.id),
+function mapAPIVideoToResult(instance, v) {
+	let liveState = getLiveState(v);
+	let video = new PlatformVideo({
+		id: new PlatformID(PLATFORM, instanceScopedId(instance, v.id), config.id),
 		name: v.name,
-		thumbnails: new Thumbnails([
-			new Thumbnail(v.thumbnailUrl || (CDN_URL + "/thumbnails/" + v.id + ".jpg"), 0)
-		]),
+		thumbnails: buildThumbnails(v.thumbnails || v.thumbnailUrl, instance.cdnUrl + "/thumbnails/" + v.id + ".jpg"),
 		author: new PlatformAuthorLink(
-			new PlatformID(PLATFORM, v.channelUsername, config.id),
+			new PlatformID(PLATFORM, instanceScopedId(instance, v.channelUsername), config.id),
 			v.channelName,
-			BASE_URL + "/c/" + v.channelUsername,
+			instance.baseUrl + "/c/" + v.channelUsername,
 			v.channelAvatar || PLUGIN_LOGO_URL
 		),
-		datetime: parseISODate(v.publishedAt),
+		datetime: liveState === "upcoming" ? getScheduledStartTime(v) : parseISODate(v.publishedAt),
 		duration: v.duration || 0,
 		viewCount: v.views || 0,
-		url: BASE_URL + "/w/" + v.id,
-		isLive: false
+		url: instance.baseUrl + "/w/" + v.id,
+		isLive: liveState === "live",
+		isShort: isShortAPIVideo(v)
 	});
+
+	// Kept for the client-side category filter; the API gives an id or an { id, label } object
+	let category = parseInt(v.category && typeof v.category === "object" ? v.category.id : v.category, 10);
+	video.category = isNaN(category) ? null : category;
+	return video;
 }
 
 /**
  * Maps an ActivityPub video object to a PlatformVideo.
  *
+ * @param {Object} instance - Instance the video was fetched from
  * @param {Object} apVideo - Video object from ActivityPub
  * @param {string} channelUsername - Channel username
  * @param {string|null} channelAvatar - Channel avatar URL
  * @returns {PlatformVideo|null} Platform video object or null
  */
-function mapAPVideoToResult(apVideo, channelUsername, channelAvatar, channelNameArg) {
+function mapAPVideoToResult(instance, apVideo, channelUsername, channelAvatar, channelNameArg) {
 	if (!apVideo) return null;
 
 	// Extract video UUID - prefer uuid field, fall back to parsing from id
@@ -890,16 +4055,6 @@ function mapAPVideoToResult(apVideo, channelUsername, channelAvatar, channelName
 	}
 	if (!videoUuid) return null;
 
-	// Extract thumbnail
-	let thumbnailUrl = CDN_URL + "/thumbnails/" + videoUuid + ".jpg";
-	let icons = asArray(apVideo.icon);
-	if (icons.length > 0) {
-		let iconCandidate = icons[0].url || icons[0];
-		if (typeof iconCandidate === "string") {
-			thumbnailUrl = iconCandidate;
-		}
-	}
-
 	// Extract channel name from attributedTo if available
 	let channelName = channelNameArg || channelUsername;
 	let attributedTo = asArray(apVideo.attributedTo);
@@ -913,70 +4068,596 @@ function mapAPVideoToResult(apVideo, channelUsername, channelAvatar, channelName
 		}
 	}
 
+	let liveState = getLiveState(apVideo);
+
 	return new PlatformVideo({
-		id: new PlatformID(PLATFORM, videoUuid, config.id),
+		id: new PlatformID(PLATFORM, instanceScopedId(instance, videoUuid), config.id),
 		name: apVideo.name || "Untitled",
-		thumbnails: new Thumbnails([new Thumbnail(thumbnailUrl, 0)]),
+		thumbnails: buildThumbnails(apVideo.icon, instance.cdnUrl + "/thumbnails/" + videoUuid + ".jpg"),
 		author: new PlatformAuthorLink(
-			new PlatformID(PLATFORM, channelUsername, config.id),
+			new PlatformID(PLATFORM, instanceScopedId(instance, channelUsername), config.id),
 			channelName,
-			BASE_URL + "/c/" + channelUsername,
+			instance.baseUrl + "/c/" + channelUsername,
 			channelAvatar || PLUGIN_LOGO_URL
 		),
-		datetime: parseISODate(apVideo.published),
+		datetime: liveState === "upcoming" ? getScheduledStartTime(apVideo) : parseISODate(apVideo.published),
 		duration: parseISODuration(apVideo.duration),
 		viewCount: apVideo.views || 0,
-		url: BASE_URL + "/w/" + videoUuid,
-		isLive: false
+		url: instance.baseUrl + "/w/" + videoUuid,
+		isLive: liveState === "live",
+		isShort: isShortVideo(apVideo)
+	});
+}
+
+/**
+ * Maps an ActivityPub Playlist object to a PlatformPlaylist.
+ *
+ * @param {Object} instance - Instance the playlist was fetched from
+ * @param {Object} apPlaylist - Playlist object from ActivityPub
+ * @param {string|null} playlistId - Playlist ID from the URL, if known
+ * @returns {PlatformPlaylist} Platform playlist object
+ */
+function mapAPPlaylistToResult(instance, apPlaylist, playlistId) {
+	let id = playlistId || apPlaylist.uuid || (apPlaylist.id || "").split("/").pop();
+
+	let thumbnailUrl = pickImageUrl(apPlaylist.icon, PLUGIN_LOGO_URL);
+
+	// The owning account may be listed before the channel, so take the first channel actor
+	let channelUsername = "unknown";
+	let channelName = null;
+	let attributedTo = asArray(apPlaylist.attributedTo);
+	for (let i = 0; i < attributedTo.length; i++) {
+		let channelInfo = extractChannelFromAttributedTo([attributedTo[i]]);
+		if (channelInfo.username) {
+			channelUsername = channelInfo.username;
+			channelName = typeof attributedTo[i] === "object" ? attributedTo[i].name : null;
+			break;
+		}
+	}
+
+	return new PlatformPlaylist({
+		id: new PlatformID(PLATFORM, instanceScopedId(instance, id), config.id),
+		name: apPlaylist.name || "Untitled",
+		author: new PlatformAuthorLink(
+			new PlatformID(PLATFORM, instanceScopedId(instance, channelUsername), config.id),
+			channelName || channelUsername,
+			instance.baseUrl + "/c/" + channelUsername,
+			PLUGIN_LOGO_URL
+		),
+		thumbnail: thumbnailUrl,
+		videoCount: apPlaylist.totalItems || 0,
+		url: instance.baseUrl + "/w/p/" + id
+	});
+}
+
+/**
+ * Maps an ActivityPub Note to a PlatformComment.
+ *
+ * @param {Object} note - Note object from ActivityPub
+ * @param {string} contextUrl - Video URL the comment belongs to
+ * @param {Object} refObjects - Prefetched objects keyed by URL (authors, collections)
+ * @returns {PlatformComment} Platform comment object
+ */
+function mapAPNoteToComment(note, contextUrl, refObjects) {
+	let authorRef = asArray(note.attributedTo)[0];
+	let author = (typeof authorRef === "string" ? refObjects[authorRef] : authorRef) || {};
+	let authorId = author.id || (typeof authorRef === "string" ? authorRef : "");
+
+	let authorName = author.name || author.preferredUsername || authorId.split("/").pop() || "Unknown";
+	let authorAvatar = pickImageUrl(author.icon, PLUGIN_LOGO_URL);
+
+	// Prefer the actor's HTML profile page over its ActivityPub id
+	let authorUrl = authorId;
+	let profileUrls = asArray(author.url);
+	if (profileUrls.length > 0) {
+		let urlCandidate = profileUrls[0].href || profileUrls[0];
+		if (typeof urlCandidate === "string") {
+			authorUrl = urlCandidate;
+		}
+	}
+
+	let replies = typeof note.replies === "string" ? refObjects[note.replies] : note.replies;
+	let likes = typeof note.likes === "string" ? refObjects[note.likes] : note.likes;
+
+	return new PlatformComment({
+		contextUrl: contextUrl,
+		author: new PlatformAuthorLink(
+			new PlatformID(PLATFORM, author.preferredUsername || authorName, config.id),
+			authorName,
+			authorUrl,
+			authorAvatar
+		),
+		message: htmlToText(note.content || ""),
+		rating: new RatingLikes(likes && likes.totalItems ? likes.totalItems : 0),
+		date: parseISODate(note.published),
+		replyCount: replies && replies.totalItems ? replies.totalItems : 0,
+		context: {
+			id: note.id || "",
+			replies: typeof note.replies === "string" ? note.replies : (note.replies && note.replies.id) || ""
+		}
 	});
 }
 
 /**
  * Extracts video sources from an ActivityPub video object.
+ * HLS streaming playlists come first as the preferred adaptive source,
+ * followed by progressive files as fallbacks (highest resolution first).
+ * HLS cannot be capped or narrowed to a format, so with a preferred format
+ * the progressive files come first, and with a resolution cap HLS is left
+ * out whenever a progressive file is available.
  *
  * @param {Object} apVideo - ActivityPub video object
- * @returns {VideoUrlSource[]} Array of video sources
+ * @returns {Array<HLSSource|VideoUrlSource>} Array of video sources
  */
 function extractVideoSources(apVideo) {
+	let duration = parseISODuration(apVideo.duration);
+	let hasPreferences = pluginSettings.maxResolution > 0 || !!pluginSettings.preferredFormat;
+	let hlsSources = [];
 	let sources = [];
 	let urls = asArray(apVideo.url);
 
-	if (urls.length > 0) {
-		for (let i = 0; i < urls.length; i++) {
-			let urlObj = urls[i];
-			if (!urlObj) continue;
+	for (let i = 0; i < urls.length; i++) {
+		let urlObj = urls[i];
+		if (!urlObj) continue;
+		if (isHLSPlaylistLink(urlObj)) {
+			hlsSources.push(new HLSSource({
+				name: "HLS",
+				url: urlObj.href,
+				duration: duration,
+				priority: !hasPreferences
+			}));
+		} else if (isVideoFileLink(urlObj)) {
 			// Only include video links, not HTML page links
-			if (urlObj.type === "Link" && urlObj.mediaType && urlObj.mediaType.startsWith("video/")) {
-				// Build source name with fallbacks
-				let sourceName;
-				if (urlObj.height) {
-					sourceName = urlObj.height + "p";
-				} else if (urlObj.width) {
-					sourceName = urlObj.width + "w";
-				} else {
-					sourceName = urlObj.mediaType.replace("video/", "").toUpperCase();
-				}
-
-				sources.push(new VideoUrlSource({
-					name: sourceName,
-					url: urlObj.href,
-					width: urlObj.width || 0,
-					height: urlObj.height || 0,
-					container: urlObj.mediaType,
-					codec: urlObj.mediaType === "video/webm" ? "VP9" : "H264"
-				}));
-			}
+			sources.push(mapLinkToVideoSource(urlObj, duration));
+		}
+	}
+
+	// Per-resolution playlist files only fill in resolutions not already covered.
+	// Files of playlists that carry their audio separately have no sound of their own.
+	let playlistFiles = getStreamingPlaylistFiles(apVideo, false);
+	for (let i = 0; i < playlistFiles.length; i++) {
+		let fileLink = playlistFiles[i];
+		if (!isVideoFileLink(fileLink)) continue;
+		let covered = sources.some(function(s) {
+			return s.height === (fileLink.height || 0);
+		});
+		if (!covered) {
+			sources.push(mapLinkToVideoSource(fileLink, duration));
+		}
+	}
+
+	sources = applySourcePreferences(sources);
+
+	if (!hasPreferences) {
+		return hlsSources.concat(sources);
+	}
+	if (pluginSettings.maxResolution > 0 && sources.length > 0) {
+		return sources;
+	}
+	return sources.concat(hlsSources);
+}
+
+/**
+ * Applies the user's resolution cap and format preference to progressive sources.
+ * Sources above the cap are dropped unless nothing else is left, and the
+ * preferred format replaces other formats at the same resolution.
+ *
+ * @param {VideoUrlSource[]} sources - Progressive video sources
+ * @returns {VideoUrlSource[]} Filtered sources, highest resolution first
+ */
+function applySourcePreferences(sources) {
+	let maxHeight = pluginSettings.maxResolution;
+	if (maxHeight > 0) {
+		let capped = sources.filter(function(s) {
+			return s.height <= maxHeight;
+		});
+		if (capped.length > 0) {
+			sources = capped;
+		} else if (sources.length > 0) {
+			// Nothing fits under the cap, keep only the smallest resolution available
+			let minHeight = Math.min.apply(null, sources.map(function(s) { return s.height; }));
+			sources = sources.filter(function(s) {
+				return s.height === minHeight;
+			});
 		}
 	}
 
-	// Sort by resolution (highest first)
-	sources.sort(function(a, b) {
-		return b.height - a.height;
+	let preferred = pluginSettings.preferredFormat;
+	if (preferred) {
+		sources = sources.filter(function(s) {
+			return s.container === preferred || !sources.some(function(other) {
+				return other.container === preferred && other.height === s.height;
+			});
+		});
+	}
+
+	// Sort by resolution (highest first), preferred format first at equal resolution
+	return sources.sort(function(a, b) {
+		if (b.height !== a.height) return b.height - a.height;
+		return (b.container === preferred ? 1 : 0) - (a.container === preferred ? 1 : 0);
 	});
+}
+
+/**
+ * Extracts the live HLS source from an ActivityPub video object.
+ *
+ * @param {Object} apVideo - ActivityPub video object
+ * @returns {HLSSource|null} Live HLS source, or null if the stream has no playlist yet
+ */
+function extractLiveSource(apVideo) {
+	let urls = asArray(apVideo.url);
+	for (let i = 0; i < urls.length; i++) {
+		if (isHLSPlaylistLink(urls[i])) {
+			return new HLSSource({
+				name: "Live",
+				url: urls[i].href,
+				duration: 0,
+				priority: true
+			});
+		}
+	}
+	return null;
+}
+
+/**
+ * Determines the live state of an ActivityPub video object or API video payload.
+ * ActivityPub objects use isLiveBroadcast and a PeerTube-style state; API payloads use isLive.
+ * Anything with a scheduled start time in the future that isn't live yet is upcoming.
+ *
+ * @param {Object} video - ActivityPub video object or API video payload
+ * @returns {string|null} "live", "upcoming", "ended" or null for regular videos
+ */
+function getLiveState(video) {
+	let now = Math.floor(Date.now() / 1000);
+	let scheduled = getScheduledStartTime(video);
+
+	if (video.isLiveBroadcast) {
+		if (video.state === VIDEO_STATE_LIVE_ENDED) return "ended";
+		if (video.state === VIDEO_STATE_WAITING_FOR_LIVE) return "upcoming";
+		return scheduled > now ? "upcoming" : "live";
+	}
+	if (video.isLive) return "live";
+	return scheduled > now ? "upcoming" : null;
+}
+
+/**
+ * Returns the scheduled start time of a live broadcast or premiere.
+ *
+ * @param {Object} video - ActivityPub video object or API video payload
+ * @returns {number} Unix timestamp in seconds, or 0 if not scheduled
+ */
+function getScheduledStartTime(video) {
+	let schedules = asArray(video.schedules);
+	let startTime = video.startTime || video.scheduledStartTime || (schedules.length > 0 ? schedules[0].startDate : null);
+	return parseISODate(startTime);
+}
+
+/**
+ * Extracts audio-only tracks from an ActivityPub video object,
+ * including the audio renditions of HLS streaming playlists.
+ *
+ * @param {Object} apVideo - ActivityPub video object
+ * @returns {AudioUrlSource[]} Array of audio sources
+ */
+function extractAudioSources(apVideo) {
+	let duration = parseISODuration(apVideo.duration);
+	let links = asArray(apVideo.url).concat(getStreamingPlaylistFiles(apVideo));
+	let sources = [];
+	let seen = [];
+
+	for (let i = 0; i < links.length; i++) {
+		let link = links[i];
+		if (!isAudioFileLink(link) || seen.indexOf(link.href) >= 0) continue;
+		seen.push(link.href);
+
+		let isWebm = link.mediaType.indexOf("webm") >= 0;
+		sources.push(new AudioUrlSource({
+			name: "Audio (" + (isWebm ? "WebM" : "MP4") + ")",
+			url: link.href,
+			container: link.mediaType.replace("video/", "audio/"),
+			codec: isWebm ? "opus" : "mp4a.40.2",
+			bitrate: link.bitrate || 0,
+			duration: duration,
+			language: "Unknown"
+		}));
+	}
 
 	return sources;
 }
 
+/**
+ * Extracts the video-only files of HLS playlists that publish their audio as
+ * a separate rendition. They only play paired with an audio-only track.
+ *
+ * @param {Object} apVideo - ActivityPub video object
+ * @returns {VideoUrlSource[]} Video-only sources, highest resolution first
+ */
+function extractVideoOnlySources(apVideo) {
+	let duration = parseISODuration(apVideo.duration);
+	let sources = getStreamingPlaylistFiles(apVideo, true).filter(isVideoFileLink).map(function(link) {
+		return mapLinkToVideoSource(link, duration);
+	});
+	return applySourcePreferences(sources);
+}
+
+/**
+ * Builds the source descriptor for a video. HLS and progressive files carry
+ * their own audio and use a plain descriptor. Only when there are none are the
+ * audio-only tracks used, in an unmuxed descriptor with the video-only files
+ * (if any, audio-only uploads have none), so the player never layers a second
+ * audio track over a muxed stream.
+ *
+ * @param {Array<HLSSource|VideoUrlSource>} videoSources - Video sources with audio
+ * @param {VideoUrlSource[]} videoOnlySources - Video sources without audio
+ * @param {AudioUrlSource[]} audioSources - Audio-only sources
+ * @returns {VideoSourceDescriptor|UnMuxVideoSourceDescriptor} Source descriptor
+ */
+function buildSourceDescriptor(videoSources, videoOnlySources, audioSources) {
+	if (videoSources.length === 0 && audioSources.length > 0) {
+		return new UnMuxVideoSourceDescriptor(videoOnlySources, audioSources);
+	}
+	return new VideoSourceDescriptor(videoSources);
+}
+
+/**
+ * Returns the per-resolution file Links nested in the `tag` arrays of
+ * the video's HLS streaming playlists. A playlist with an audio-only file
+ * keeps its audio separate, so its other files are video-only.
+ *
+ * @param {Object} apVideo - ActivityPub video object
+ * @param {boolean} [split] - true for only split-audio playlists, false for only
+ *   the others, omitted for all
+ * @returns {Object[]} Array of Link objects
+ */
+function getStreamingPlaylistFiles(apVideo, split) {
+	let files = [];
+	let urls = asArray(apVideo.url);
+	for (let i = 0; i < urls.length; i++) {
+		if (!urls[i] || !isHLSPlaylistLink(urls[i])) continue;
+		let tags = asArray(urls[i].tag);
+		if (split !== undefined && tags.some(isAudioFileLink) !== split) continue;
+		files = files.concat(tags);
+	}
+	return files;
+}
+
+/**
+ * Checks whether a Link points to an HLS streaming playlist.
+ *
+ * @param {Object} link - ActivityPub Link object
+ * @returns {boolean} True for HLS playlist links
+ */
+function isHLSPlaylistLink(link) {
+	return !!link && link.type === "Link" && link.mediaType === "application/x-mpegURL" && !!link.href;
+}
+
+/**
+ * Checks whether a Link points to an audio-only file.
+ * Audio renditions are published either as audio/* or as video/* with a height of 0.
+ *
+ * @param {Object} link - ActivityPub Link object
+ * @returns {boolean} True for audio-only links
+ */
+function isAudioFileLink(link) {
+	if (!link || link.type !== "Link" || !link.mediaType || !link.href) return false;
+	return link.mediaType.startsWith("audio/") || (link.mediaType.startsWith("video/") && link.height === 0);
+}
+
+/**
+ * Checks whether a Link points to a playable video file.
+ *
+ * @param {Object} link - ActivityPub Link object
+ * @returns {boolean} True for video file links
+ */
+function isVideoFileLink(link) {
+	if (!link || link.type !== "Link" || !link.mediaType || !link.href) return false;
+	return link.mediaType.startsWith("video/") && !isAudioFileLink(link);
+}
+
+/**
+ * Maps an ActivityPub video file Link to a VideoUrlSource.
+ *
+ * @param {Object} urlObj - ActivityPub Link object
+ * @param {number} duration - Video duration in seconds
+ * @returns {VideoUrlSource} Video source
+ */
+function mapLinkToVideoSource(urlObj, duration) {
+	// Build source name with fallbacks
+	let sourceName;
+	if (urlObj.height) {
+		sourceName = urlObj.height + "p";
+	} else if (urlObj.width) {
+		sourceName = urlObj.width + "w";
+	} else {
+		sourceName = urlObj.mediaType.replace("video/", "").toUpperCase();
+	}
+
+	return new VideoUrlSource({
+		name: sourceName,
+		url: urlObj.href,
+		width: urlObj.width || 0,
+		height: urlObj.height || 0,
+		container: urlObj.mediaType,
+		codec: urlObj.mediaType === "video/webm" ? "VP9" : "H264",
+		duration: duration
+	});
+}
+
+/**
+ * Extracts subtitle tracks from an ActivityPub video's subtitleLanguage array.
+ * Caption files are fetched lazily and SRT files are converted to WebVTT.
+ *
+ * @param {Object} apVideo - ActivityPub video object
+ * @returns {Object[]} Array of subtitle sources
+ */
+function extractSubtitles(apVideo) {
+	let subtitles = [];
+	let languages = asArray(apVideo.subtitleLanguage);
+
+	for (let i = 0; i < languages.length; i++) {
+		let caption = languages[i];
+		if (!caption) continue;
+
+		// The caption url is either a plain string or a list of Links per format
+		let captionUrl = null;
+		let captionType = null;
+		let links = asArray(caption.url);
+		for (let j = 0; j < links.length; j++) {
+			let link = links[j];
+			if (typeof link === "string") {
+				captionUrl = link;
+				break;
+			}
+			if (link && link.href && link.mediaType !== "application/x-mpegURL") {
+				captionUrl = link.href;
+				captionType = link.mediaType || null;
+				break;
+			}
+		}
+		if (!captionUrl) continue;
+
+		let isSrt = captionType === "application/x-subrip" || /\.srt(\?|$)/i.test(captionUrl);
+		let languageCode = caption.identifier || "";
+
+		subtitles.push({
+			name: caption.name || languageCode || "Unknown",
+			url: captionUrl,
+			format: "text/vtt",
+			language: languageCode,
+			getSubtitles: function() {
+				let response = ensureOk(requestGET(captionUrl, {}, false), "subtitles");
+				return isSrt ? convertSrtToVtt(response.body) : response.body;
+			}
+		});
+	}
+
+	return subtitles;
+}
+
+/**
+ * Converts SubRip (SRT) subtitles to WebVTT.
+ *
+ * @param {string} srt - SRT subtitle text
+ * @returns {string} WebVTT subtitle text
+ */
+function convertSrtToVtt(srt) {
+	let body = (srt || "")
+		.replace(/^\uFEFF/, "")
+		.replace(/\r\n?/g, "\n")
+		.replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, "$1.$2");
+	return "WEBVTT\n\n" + body.trim() + "\n";
+}
+
+/**
+ * Extracts chapters from an ActivityPub hasParts chapter collection.
+ *
+ * @param {string|Object|null} hasParts - Chapter collection or its URL
+ * @returns {Object[]} Array of { name, timeStart } chapter starts
+ */
+function extractStructuredChapters(hasParts) {
+	if (!hasParts) return [];
+
+	try {
+		let collection = hasParts;
+		if (typeof collection === "string") {
+			collection = fetchJSON(collection, ACTIVITYPUB_HEADERS, "chapters");
+		}
+
+		return asArray(collection.hasPart).filter(function(part) {
+			return part && typeof part.startOffset === "number";
+		}).map(function(part) {
+			return { name: part.name || "", timeStart: part.startOffset };
+		});
+	} catch (e) {
+		log("Error parsing chapters: " + e);
+		return [];
+	}
+}
+
+/**
+ * Parses chapter timestamps from a video description.
+ * Supports m:ss, mm:ss and h:mm:ss timestamps before or after the title,
+ * e.g. "00:00 Intro", "1:02:03 - Q&A" or "Outro (1:05:00)".
+ * Like YouTube, a chapter list is a run of timestamp lines that starts at
+ * 0:00; timestamps elsewhere in the text are references, not chapters.
+ * Every line of the block is kept in the order written, for
+ * finalizeChapters to sort.
+ *
+ * @param {string} description - Plain text description
+ * @returns {Object[]} Array of { name, timeStart } chapter starts
+ */
+function parseDescriptionChapters(description) {
+	let chapters = [];
+	let lines = (description || "").split("\n");
+	let timestampRegex = /(?:^|[^\d:])((?:\d{1,2}:)?\d{1,2}:\d{2})(?![\d:])/;
+
+	for (let i = 0; i < lines.length; i++) {
+		let line = lines[i].trim();
+		let match = line.match(timestampRegex);
+		if (!match) {
+			// The block ends at the first line without a timestamp
+			if (chapters.length > 0) break;
+			continue;
+		}
+
+		let parts = match[1].split(":").map(function(part) {
+			return parseInt(part, 10);
+		});
+		let seconds = 0;
+		for (let j = 0; j < parts.length; j++) {
+			seconds = seconds * 60 + parts[j];
+		}
+
+		// Whatever surrounds the timestamp is the title, minus separators and brackets
+		let name = line.replace(match[1], " ")
+			.replace(/[\[\]()]/g, " ")
+			.replace(/^[\s\-\u2013\u2014:|•*.]+|[\s\-\u2013\u2014:|•*]+$/g, "")
+			.replace(/\s+/g, " ")
+			.trim();
+
+		// Timestamp lines before the 0:00 line don't belong to the block
+		if (chapters.length === 0 && seconds !== 0) continue;
+		chapters.push({ name: name, timeStart: seconds });
+	}
+
+	return chapters.length >= 2 ? chapters : [];
+}
+
+/**
+ * Sorts chapter starts, drops duplicates and starts past the end, and fills in end times.
+ * Each chapter ends where the next one starts; the last one ends at the video
+ * duration, and is dropped when the duration is unknown.
+ *
+ * @param {Object[]} chapters - Array of { name, timeStart } chapter starts
+ * @param {number} duration - Video duration in seconds (0 if unknown)
+ * @returns {Object[]} Array of chapters with name, timeStart, timeEnd and type
+ */
+function finalizeChapters(chapters, duration) {
+	let sorted = chapters.filter(function(c) {
+		return !duration || c.timeStart < duration;
+	}).sort(function(a, b) {
+		return a.timeStart - b.timeStart;
+	});
+
+	let unique = [];
+	for (let i = 0; i < sorted.length; i++) {
+		if (unique.length === 0 || unique[unique.length - 1].timeStart !== sorted[i].timeStart) {
+			unique.push(sorted[i]);
+		}
+	}
+
+	let result = unique.map(function(chapter, i) {
+		let timeEnd = i + 1 < unique.length ? unique[i + 1].timeStart : duration;
+		return {
+			name: chapter.name || ("Chapter " + (i + 1)),
+			timeStart: chapter.timeStart,
+			timeEnd: timeEnd,
+			type: Type.Chapter.NORMAL
+		};
+	});
+	return duration ? result : result.slice(0, -1);
+}
+
 /**
  * Parses an ISO 8601 date string to Unix timestamp.
  *
@@ -1032,8 +4713,9 @@ function extractLinksFromMarkdown(markdown) {
 		let url = match[2] || match[4];
 		if (!url) continue;
 
-		// Skip pixeltube.org links
-		if (url.includes("pixeltube.org")) continue;
+		// Skip links back to any configured instance
+		let linkHost = url.match(/^https?:\/\/(?:www\.)?([^\/?#]+)/i);
+		if (linkHost && getInstanceByHost(linkHost[1])) continue;
 
 		// Check for Mastodon ActivityPub pattern (/@username)
 		if (!links["Mastodon"] && url.match(/https?:\/\/[^\/]+\/@[^\/\s]+/)) {